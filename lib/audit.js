@@ -0,0 +1,72 @@
+// lib/audit.js - VYBIN access audit trail
+//
+// Every time someone reads a user's check-ins - the user themselves, an
+// export, an admin diagnostic or a supporter they share with - an entry is
+// added to that user's trail. Changes to who they share with are kept there too.
+// Users can read their own trail through GET /api/audit. Entries hold ids and
+// counts only, never check-in content.
+const { getCollection } = require('./store');
+const log = require('./logger');
+
+const auditLog = getCollection('audit_log');
+
+const AUDIT_ACTIONS = {
+    'checkins.list': 'Viewed check-in history',
+    'checkins.view': 'Viewed a check-in',
+    'conversation.view': 'Viewed a conversation',
+    'history.export': 'Exported check-ins',
+    'history.import': 'Imported check-ins',
+    'admin.diagnostics': 'An administrator ran account diagnostics',
+    'sharing.invite': 'Invited a supporter',
+    'sharing.update': 'Changed what a supporter can see',
+    'sharing.revoke': "Revoked a supporter's access",
+    'sharing.accept': 'A supporter accepted your invitation',
+    'sharing.view': 'A supporter viewed your shared check-ins'
+};
+
+// userId is whose data was touched; the actor is whoever made the request,
+// described by their role unless the caller names it (a supporter's share role)
+function recordAccess(req, { action, userId = req.user.id, actor, checkinIds = [], details = {} }) {
+    if (!AUDIT_ACTIONS[action]) {
+        throw new Error(`Unknown audit action "${action}"`);
+    }
+
+    const entry = auditLog.insert({
+        userId,
+        actorId: req.user.id,
+        actor: req.user.id === userId ? 'self' : actor || req.user.role,
+        action,
+        checkinIds,
+        details,
+        requestId: req.id || null
+    });
+    log.info('🧾 VYBIN: Audit', { action, actor: entry.actor, checkins: checkinIds.length });
+    return entry;
+}
+
+function toPublicEntry(entry) {
+    return {
+        id: entry.id,
+        at: entry.createdAt,
+        action: entry.action,
+        summary: AUDIT_ACTIONS[entry.action],
+        actor: entry.actor,
+        checkinIds: entry.checkinIds,
+        details: entry.details,
+        requestId: entry.requestId
+    };
+}
+
+// Newest first (entries are stored in the order they happened)
+function listAccess(userId, { limit = 50, offset = 0 } = {}) {
+    const entries = auditLog.find(entry => entry.userId === userId).reverse();
+
+    return {
+        entries: entries.slice(offset, offset + limit).map(toPublicEntry),
+        total: entries.length,
+        limit,
+        offset
+    };
+}
+
+module.exports = { AUDIT_ACTIONS, recordAccess, listAccess };
@@ -0,0 +1,238 @@
+// lib/auth.js - VYBIN accounts, password hashing and sessions
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { sendError } = require('./errors');
+const { DEFAULT_LOCALE, isSupportedLocale } = require('./i18n');
+const log = require('./logger');
+
+const users = getCollection('users');
+const sessions = getCollection('sessions');
+
+const SESSION_COOKIE = 'vybin_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Passwords are stored as "scrypt$<salt>$<hash>" so the scheme can change later
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only the sha256 of a session token is stored, never the token itself
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// VYBIN_ADMIN_USERS (comma-separated usernames) names accounts to make admins
+function adminUsernames() {
+    return String(process.env.VYBIN_ADMIN_USERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function publicUser(user) {
+    if (!user) return null;
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        locale: isSupportedLocale(user.locale) ? user.locale : DEFAULT_LOCALE,
+        createdAt: user.createdAt
+    };
+}
+
+function findUserByUsername(username) {
+    const normalized = String(username || '').trim().toLowerCase();
+    return users.findOne(u => u.username.toLowerCase() === normalized);
+}
+
+// locale is the language picked on the sign-up screen, if any
+function registerUser(username, password, { locale = DEFAULT_LOCALE } = {}) {
+    username = String(username || '').trim();
+
+    if (!USERNAME_PATTERN.test(username)) {
+        return { error: 'Username must be 3-32 letters, numbers, dots, dashes or underscores' };
+    }
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    if (findUserByUsername(username)) {
+        return { error: 'That username is already taken' };
+    }
+    // Otherwise anyone could sign up as an admin listed before their account exists
+    if (adminUsernames().includes(username.toLowerCase())) {
+        return { error: 'That username is reserved' };
+    }
+
+    const user = users.insert({
+        username,
+        passwordHash: hashPassword(password),
+        role: 'user',
+        locale: isSupportedLocale(locale) ? locale : DEFAULT_LOCALE
+    });
+    return { user };
+}
+
+function authenticateUser(username, password) {
+    const user = findUserByUsername(username);
+    if (!user || !verifyPassword(password || '', user.passwordHash)) {
+        return null;
+    }
+    return user;
+}
+
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = sessions.insert({
+        tokenHash: hashToken(token),
+        userId,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    });
+    return { token, session };
+}
+
+function destroySession(sessionId) {
+    return sessions.remove(sessionId);
+}
+
+function readSessionToken(req) {
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7).trim();
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [name, ...rest] = cookie.trim().split('=');
+        if (name === SESSION_COOKIE) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return null;
+}
+
+function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_TTL_MS,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// Middleware: attach req.user / req.session when a valid session is presented
+function authenticate(req, res, next) {
+    req.user = null;
+    req.session = null;
+
+    const token = readSessionToken(req);
+    if (!token) return next();
+
+    const tokenHash = hashToken(token);
+    const session = sessions.findOne(s => s.tokenHash === tokenHash);
+    if (!session) return next();
+
+    if (new Date(session.expiresAt).getTime() < Date.now()) {
+        sessions.remove(session.id);
+        return next();
+    }
+
+    const user = users.get(session.userId);
+    if (!user) {
+        sessions.remove(session.id);
+        return next();
+    }
+
+    req.user = publicUser(user);
+    req.session = session;
+    next();
+}
+
+// Middleware: reject requests that are not signed in
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return sendError(res, 401, 'Please log in to continue', { requiresLogin: true });
+    }
+    next();
+}
+
+// Middleware: only admins (see grantAdminRoles) get through
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return sendError(res, 401, 'Please log in to continue', { requiresLogin: true });
+    }
+    if (req.user.role !== 'admin') {
+        return sendError(res, 403, 'Admin access required');
+    }
+    next();
+}
+
+// The demo account has a well-known password, so it is opt-in
+// (VYBIN_DEMO_ACCOUNT=true) and never available in production
+function demoAccountEnabled() {
+    return process.env.VYBIN_DEMO_ACCOUNT === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+// Seed the demo account advertised on the login screen
+function ensureDemoUser() {
+    if (!demoAccountEnabled() || findUserByUsername('demo')) return;
+    const result = registerUser('demo', 'demo123');
+    if (result.error) {
+        log.warn('🧪 VYBIN: Could not create demo account', { reason: result.error });
+        return;
+    }
+    log.info('🧪 VYBIN: Created demo account (demo/demo123)');
+}
+
+// Admin is a role stored on the account, granted at startup: an operator
+// registers the account as usual, then lists it in VYBIN_ADMIN_USERS and
+// restarts. Accounts no longer listed lose the role
+function grantAdminRoles() {
+    const listed = adminUsernames();
+    for (const user of users.find(u => u.role === 'admin' && !listed.includes(u.username.toLowerCase()))) {
+        users.update(user.id, { role: 'user' });
+        log.info('🔑 VYBIN: Admin role removed', { userId: user.id });
+    }
+    for (const username of listed) {
+        const user = findUserByUsername(username);
+        if (!user) {
+            log.warn('🔑 VYBIN: VYBIN_ADMIN_USERS names an account that does not exist yet - register it, then restart');
+        } else if (user.role !== 'admin') {
+            users.update(user.id, { role: 'admin' });
+            log.info('🔑 VYBIN: Admin role granted', { userId: user.id });
+        }
+    }
+}
+
+module.exports = {
+    registerUser,
+    authenticateUser,
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    authenticate,
+    requireAuth,
+    requireAdmin,
+    publicUser,
+    demoAccountEnabled,
+    ensureDemoUser,
+    grantAdminRoles
+};
@@ -0,0 +1,87 @@
+// lib/billing.js - VYBIN billing provider (local mock)
+//
+// The upgrade flow talks to a provider through createCheckout / completeCheckout
+// / cancelSubscription. Only the local mock exists today: checkout sessions are
+// stored in the db and "paid" by calling completeCheckout, standing in for a
+// real provider's redirect + webhook. It hands out paid plans for free, so it
+// never runs in production: there, upgrades are unavailable until a real
+// provider is configured.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { PLANS, setPlan, getPlanId } = require('./entitlements');
+const log = require('./logger');
+
+const checkoutSessions = getCollection('checkout_sessions');
+
+const BILLING_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+const mockProvider = {
+    name: 'mock',
+
+    createCheckout(userId, plan) {
+        const session = checkoutSessions.insert({
+            userId,
+            plan,
+            amountCents: PLANS[plan].priceCents,
+            status: 'pending',
+            providerReference: `mock_${crypto.randomBytes(8).toString('hex')}`
+        });
+        return {
+            sessionId: session.id,
+            amountCents: session.amountCents,
+            provider: 'mock'
+        };
+    },
+
+    completeCheckout(userId, sessionId) {
+        const session = checkoutSessions.get(sessionId);
+        if (!session || session.userId !== userId) {
+            return { error: 'Checkout session not found' };
+        }
+        if (session.status !== 'pending') {
+            return { error: `Checkout session is already ${session.status}` };
+        }
+
+        checkoutSessions.update(session.id, { status: 'paid' });
+        const subscription = setPlan(userId, session.plan, {
+            provider: 'mock',
+            providerReference: session.providerReference,
+            currentPeriodEnd: new Date(Date.now() + BILLING_PERIOD_MS).toISOString()
+        });
+        return { subscription };
+    },
+
+    cancelSubscription(userId) {
+        return { subscription: setPlan(userId, 'free') };
+    }
+};
+
+const providers = { mock: mockProvider };
+
+// null when no provider may take payments (the mock in production)
+function getBillingProvider() {
+    const name = process.env.BILLING_PROVIDER || 'mock';
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        log.error('💥 VYBIN: The mock billing provider is disabled in production - set BILLING_PROVIDER');
+        return null;
+    }
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown BILLING_PROVIDER "${name}"`);
+    }
+    return provider;
+}
+
+function startUpgrade(userId, plan = 'premium') {
+    if (!PLANS[plan] || !PLANS[plan].priceCents) {
+        return { error: `Unknown paid plan "${plan}"` };
+    }
+    if (getPlanId(userId) === plan) {
+        return { error: `You're already on ${PLANS[plan].name}` };
+    }
+    const provider = getBillingProvider();
+    if (!provider) return { unavailable: true };
+    return { checkout: provider.createCheckout(userId, plan) };
+}
+
+module.exports = { getBillingProvider, startUpgrade };
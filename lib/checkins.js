@@ -0,0 +1,166 @@
+// lib/checkins.js - VYBIN persistent check-in storage
+const { getCollection } = require('./store');
+const { DIMENSIONS, SCALE, isValidRating } = require('./instruments');
+const { deleteThreadsForCheckin } = require('./conversations');
+
+const checkins = getCollection('checkins');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // Devices' clocks drift; queued check-ins carry the device's time
+
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0]; // YYYY-MM-DD for day comparison
+}
+
+function byDate(a, b) {
+    return a.timestamp - b.timestamp;
+}
+
+// Ratings must be whole numbers on the configured scale, keyed by a configured dimension
+function checkRatings(ratings) {
+    if (!ratings || typeof ratings !== 'object' || Array.isArray(ratings)) {
+        return 'ratings must be an object of dimension ratings';
+    }
+    const entries = Object.entries(ratings);
+    if (entries.length === 0) {
+        return 'Rate at least one dimension';
+    }
+    for (const [dimension, rating] of entries) {
+        if (!DIMENSIONS.includes(dimension)) {
+            return `${dimension} is not one of the check-in dimensions`;
+        }
+        if (!isValidRating(rating)) {
+            return `Rating for ${dimension} must be a whole number from ${SCALE.min} to ${SCALE.max}`;
+        }
+    }
+    return null;
+}
+
+// A check-in time must parse and can't be in the future (beyond clock drift)
+function checkDate(date) {
+    const when = new Date(date);
+    if (isNaN(when.getTime())) {
+        return 'date must be a valid ISO date';
+    }
+    if (when.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return 'date cannot be in the future';
+    }
+    return null;
+}
+
+// clientId comes from offline clients: retrying a sync whose response was lost
+// returns the check-in already saved instead of adding a second one
+function createCheckin(userId, { ratings, context = '', date, clientId }) {
+    const ratingsError = checkRatings(ratings);
+    if (ratingsError) return { error: ratingsError };
+
+    if (clientId) {
+        const existing = checkins.findOne(c => c.userId === userId && c.clientId === clientId);
+        if (existing) return { checkin: existing, duplicate: true };
+    }
+
+    const { fields, error } = checkinFields(userId, { ratings, context, date });
+    if (error) return { error };
+
+    return { checkin: checkins.insert({ ...fields, ...(clientId ? { clientId } : {}) }) };
+}
+
+// The record for a new check-in, or { error } when its date is unusable
+function checkinFields(userId, { ratings, context = '', date }) {
+    const when = date ? new Date(date) : new Date();
+    const dateError = checkDate(when);
+    if (dateError) return { error: dateError };
+
+    return {
+        fields: {
+            userId,
+            date: when.toISOString(),
+            dateOnly: toDateOnly(when),
+            ratings: { ...ratings },
+            context: String(context || '').trim(),
+            timestamp: when.getTime()
+        }
+    };
+}
+
+// Create many check-ins at once, checking every entry before anything is
+// saved. Returns one { checkin } or { error } per entry, in order
+function importCheckins(userId, entries) {
+    const results = entries.map(entry => {
+        const ratingsError = checkRatings(entry.ratings);
+        return ratingsError ? { error: ratingsError } : checkinFields(userId, entry);
+    });
+    const saved = checkins.insertMany(results.filter(r => r.fields).map(r => r.fields));
+
+    let next = 0;
+    return results.map(r => (r.fields ? { checkin: saved[next++] } : { error: r.error }));
+}
+
+// Newest first, optionally limited to a YYYY-MM-DD range (inclusive)
+function listCheckins(userId, { from, to, limit, offset } = {}) {
+    const matching = checkins
+        .find(c => c.userId === userId)
+        .filter(c => (!from || c.dateOnly >= from) && (!to || c.dateOnly <= to))
+        .sort(byDate)
+        .reverse();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+    return {
+        checkins: matching.slice(start, start + pageSize),
+        total: matching.length,
+        limit: pageSize,
+        offset: start
+    };
+}
+
+function getCheckin(userId, id) {
+    const checkin = checkins.get(id);
+    return checkin && checkin.userId === userId ? checkin : null;
+}
+
+function updateCheckin(userId, id, { ratings, context }) {
+    const existing = getCheckin(userId, id);
+    if (!existing) return { notFound: true };
+
+    const changes = {};
+    if (ratings !== undefined) {
+        const ratingsError = checkRatings(ratings);
+        if (ratingsError) return { error: ratingsError };
+        changes.ratings = { ...ratings };
+    }
+    if (context !== undefined) {
+        changes.context = String(context || '').trim();
+    }
+
+    return { checkin: checkins.update(id, changes) };
+}
+
+function deleteCheckin(userId, id) {
+    if (!getCheckin(userId, id)) return false;
+    deleteThreadsForCheckin(userId, id);
+    return checkins.remove(id);
+}
+
+// Chronological history in the shape the prompt builders expect
+function loadUserHistory(userId) {
+    const history = checkins.find(c => c.userId === userId).sort(byDate);
+    return {
+        checkins: history,
+        lastCheckin: history[history.length - 1] || null
+    };
+}
+
+module.exports = {
+    checkRatings,
+    checkDate,
+    createCheckin,
+    importCheckins,
+    listCheckins,
+    getCheckin,
+    updateCheckin,
+    deleteCheckin,
+    loadUserHistory
+};
@@ -0,0 +1,140 @@
+// lib/conversations.js - VYBIN conversation threads
+//
+// Every check-in gets one thread. The thread stores the real turns of the
+// conversation - the check-in itself, VYBIN's preliminary insights, the
+// user's context, the wellness response and each follow-up - so follow-ups
+// can be sent to Claude as a proper messages array and reopened later.
+const { getCollection } = require('./store');
+const log = require('./logger');
+const { dimensionLabel, formatRating } = require('./instruments');
+
+const conversations = getCollection('conversations');
+const preliminaryReplies = getCollection('preliminary_replies');
+
+const PRELIMINARY_REPLIES_KEPT = 5;
+
+function message(role, content, kind) {
+    return { role, content, kind, createdAt: new Date().toISOString() };
+}
+
+function describeRatings(ratings) {
+    return Object.entries(ratings)
+        .map(([dim, rating]) => `${dimensionLabel(dim)}: ${formatRating(rating)}`)
+        .join(', ');
+}
+
+function getThread(userId, id) {
+    const thread = conversations.get(id);
+    return thread && thread.userId === userId ? thread : null;
+}
+
+function getThreadForCheckin(userId, checkinId) {
+    return conversations.findOne(t => t.userId === userId && t.checkinId === checkinId);
+}
+
+// Newest first, without message bodies
+function listThreads(userId) {
+    return conversations
+        .find(t => t.userId === userId)
+        .sort((a, b) => (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt))
+        .map(thread => ({
+            id: thread.id,
+            checkinId: thread.checkinId,
+            dateOnly: thread.dateOnly,
+            messageCount: thread.messages.length,
+            createdAt: thread.createdAt,
+            updatedAt: thread.updatedAt || thread.createdAt
+        }));
+}
+
+// Record the opening turns of a check-in's thread. If the wellness response is
+// requested again for the same check-in (a retry after a fallback reply) only
+// the opening turns are replaced; follow-ups already in the thread are kept
+function startThread(userId, checkin, { preliminaryInsights, response }) {
+    const messages = [message('user', `My check-in today: ${describeRatings(checkin.ratings)}`, 'checkin')];
+
+    if (preliminaryInsights) {
+        messages.push(message('assistant', preliminaryInsights, 'preliminary'));
+        messages.push(message('user', checkin.context || "I'd rather not add details - please just look at my ratings.", 'context'));
+    } else if (checkin.context) {
+        messages[0].content += `\n\nWhat's going on: ${checkin.context}`;
+    }
+    messages.push(message('assistant', response, 'wellness'));
+
+    const existing = getThreadForCheckin(userId, checkin.id);
+    if (existing) {
+        const followups = existing.messages.filter(m => m.kind === 'followup');
+        return conversations.update(existing.id, { messages: [...messages, ...followups] });
+    }
+    return conversations.insert({
+        userId,
+        checkinId: checkin.id,
+        dateOnly: checkin.dateOnly,
+        messages
+    });
+}
+
+function appendTurn(threadId, question, answer) {
+    const thread = conversations.get(threadId);
+    return conversations.update(threadId, {
+        messages: [
+            ...thread.messages,
+            message('user', question, 'followup'),
+            message('assistant', answer, 'followup')
+        ]
+    });
+}
+
+// A deleted check-in takes its threads with it: their first turn quotes its context
+function deleteThreadsForCheckin(userId, checkinId) {
+    return conversations.removeWhere(t => t.userId === userId && t.checkinId === checkinId);
+}
+
+// Restore threads from a history backup in one write: [{ checkin, messages }],
+// messages already validated
+function importThreads(userId, threads) {
+    return conversations.insertMany(threads.map(({ checkin, messages }) => ({
+        userId,
+        checkinId: checkin.id,
+        dateOnly: checkin.dateOnly,
+        messages: messages.map(m => ({
+            role: m.role,
+            content: m.content,
+            kind: m.kind || 'followup',
+            createdAt: m.createdAt || checkin.date
+        }))
+    })));
+}
+
+// The frontend sends the preliminary reply back with the wellness request and
+// it becomes an assistant turn in the thread, so only text VYBIN generated for
+// this user is accepted - never something the client made up
+function rememberPreliminary(userId, text) {
+    preliminaryReplies.insert({ userId, text });
+    const mine = preliminaryReplies.find(r => r.userId === userId);
+    const stale = new Set(mine.slice(0, Math.max(mine.length - PRELIMINARY_REPLIES_KEPT, 0)).map(r => r.id));
+    if (stale.size > 0) {
+        preliminaryReplies.removeWhere(r => stale.has(r.id));
+    }
+}
+
+function verifyPreliminary(userId, text) {
+    if (!text) return '';
+    const known = preliminaryReplies.findOne(r => r.userId === userId && r.text === text);
+    if (!known) {
+        log.warn('🛡️ VYBIN: Ignoring preliminary insights the server did not generate');
+    }
+    return known ? text : '';
+}
+
+module.exports = {
+    getThread,
+    getThreadForCheckin,
+    listThreads,
+    startThread,
+    appendTurn,
+    deleteThreadsForCheckin,
+    importThreads,
+    rememberPreliminary,
+    verifyPreliminary
+};
@@ -0,0 +1,64 @@
+// lib/csv.js - VYBIN CSV helpers (RFC 4180 quoting)
+
+// Quote a CSV field when needed, and stop spreadsheets treating free text as a formula
+function csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Parse CSV text into rows of fields. Handles quoted fields with commas,
+// doubled quotes and line breaks; skips blank lines.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+}
+
+// Rows as objects keyed by the (trimmed, lowercased) header row
+function parseCsvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(key => key.trim().toLowerCase());
+    return rows.map(row => {
+        const record = {};
+        keys.forEach((key, i) => {
+            record[key] = (row[i] || '').trim();
+        });
+        return record;
+    });
+}
+
+module.exports = { csvField, parseCsv, parseCsvRecords };
@@ -0,0 +1,114 @@
+// lib/diagnostics.js - VYBIN admin diagnostics
+//
+// Replaces the old in-app Debug button, which dumped the signed-in user's
+// data into the browser. These reports are counts, dates and ids only - never
+// ratings, context or conversation text - and looking at one account is
+// recorded in that user's access log (see routes/admin.js).
+const { getCollection, collectionSizes } = require('./store');
+const { publicUser } = require('./auth');
+const { getEntitlements } = require('./entitlements');
+const { getTokenBudget } = require('./usage');
+const { getReminderSettings } = require('./reminders');
+const { listSubscriptions } = require('./push');
+const { listTemplates } = require('./prompts');
+const { getBreakerStatus, providerName, providerProblem } = require('./llm');
+const { ipLookupEnabled } = require('./location');
+const { DIMENSIONS, SCALE, screeners } = require('./instruments');
+const { transportName, mailProblem } = require('./mail');
+const { LOCALE_CODES } = require('./i18n');
+const log = require('./logger');
+
+const users = getCollection('users');
+const checkins = getCollection('checkins');
+const conversations = getCollection('conversations');
+const shares = getCollection('shares');
+
+// Records that point at another user's data are what "data bleeding" looks like
+function findIntegrityProblems({ userId } = {}) {
+    const userIds = new Set(users.all().map(user => user.id));
+    const checkinOwners = new Map(checkins.all().map(checkin => [checkin.id, checkin.userId]));
+    const mine = record => !userId || record.userId === userId;
+
+    return {
+        checkinsWithoutUser: checkins.find(c => mine(c) && !userIds.has(c.userId)).map(c => c.id),
+        conversationsWithoutCheckin: conversations.find(t => mine(t) && !checkinOwners.has(t.checkinId)).map(t => t.id),
+        conversationsOnAnotherUsersCheckin: conversations
+            .find(t => mine(t) && checkinOwners.has(t.checkinId) && checkinOwners.get(t.checkinId) !== t.userId)
+            .map(t => t.id)
+    };
+}
+
+function countProblems(integrity) {
+    return Object.values(integrity).reduce((total, ids) => total + ids.length, 0);
+}
+
+function serverDiagnostics() {
+    const integrity = findIntegrityProblems();
+    if (countProblems(integrity) > 0) {
+        log.warn('⚠️ VYBIN: Data integrity problems found', integrity);
+    }
+
+    return {
+        server: {
+            uptimeSeconds: Math.round(process.uptime()),
+            node: process.version,
+            memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+            environment: process.env.NODE_ENV || 'development',
+            logLevel: log.level,
+            llmProvider: providerName() || 'none',
+            llmProblem: providerProblem(),
+            llmCircuit: getBreakerStatus(),
+            remindersEnabled: process.env.REMINDERS_ENABLED !== 'false',
+            ipLocationLookup: ipLookupEnabled(),
+            mailTransport: transportName(),
+            mailProblem: mailProblem(),
+            locales: LOCALE_CODES,
+            prompts: listTemplates().map(t => `${t.name}@v${t.active}`),
+            instruments: {
+                config: process.env.VYBIN_INSTRUMENTS ? 'program' : 'default',
+                dimensions: DIMENSIONS,
+                scale: `${SCALE.min}-${SCALE.max}`,
+                screeners: screeners.map(s => s.id)
+            }
+        },
+        store: collectionSizes(),
+        integrity
+    };
+}
+
+// null when there is no such account
+function userDiagnostics(userId) {
+    const user = users.get(userId);
+    if (!user) return null;
+
+    const own = checkins.find(c => c.userId === userId).sort((a, b) => a.date.localeCompare(b.date));
+    const threads = conversations.find(t => t.userId === userId);
+
+    return {
+        user: { id: user.id, role: publicUser(user).role, locale: publicUser(user).locale, createdAt: user.createdAt },
+        plan: getEntitlements(userId).plan,
+        tokenBudget: getTokenBudget(userId),
+        checkins: {
+            count: own.length,
+            withContext: own.filter(c => c.context).length,
+            first: own.length > 0 ? own[0].dateOnly : null,
+            last: own.length > 0 ? own[own.length - 1].dateOnly : null
+        },
+        conversations: {
+            count: threads.length,
+            messages: threads.reduce((total, t) => total + t.messages.length, 0)
+        },
+        reminders: {
+            enabled: getReminderSettings(userId).enabled,
+            pushSubscriptions: listSubscriptions(userId).length
+        },
+        sharing: {
+            sharingWith: shares.find(s => s.ownerId === userId && s.status === 'active').length,
+            pendingInvites: shares.find(s => s.ownerId === userId && s.status === 'pending').length,
+            supporting: shares.find(s => s.supporterId === userId && s.status === 'active').length
+        },
+        integrity: findIntegrityProblems({ userId })
+    };
+}
+
+module.exports = { serverDiagnostics, userDiagnostics };
@@ -0,0 +1,311 @@
+// lib/digests.js - VYBIN weekly reflection digests
+//
+// Once a week each user who checked in gets a digest of the past week
+// (Monday to Sunday, in UTC days like dateOnly): how each dimension's average
+// moved against the week before, and a short reflection Claude writes from
+// those numbers, their history patterns and the notes they added to their
+// check-ins. Digests are saved for the app (GET /api/digests) and, when the
+// user turned it on, emailed through lib/mail.
+//
+// The scheduler in server.js calls runDigests() every DIGEST_INTERVAL_MS
+// (default an hour); each week's digest is written once. A digest whose
+// reflection could not be generated is left for the next pass.
+const { getCollection } = require('./store');
+const { loadUserHistory } = require('./checkins');
+const { buildTrends, describePatterns } = require('./insights');
+const { DIMENSIONS, SCALE, dimensionLabel } = require('./instruments');
+const { getUserLocale, DEFAULT_LOCALE } = require('./i18n');
+const { screenForCrisis } = require('./safety');
+const { recordTokens, recordFallback, checkBudget } = require('./usage');
+const { templatedReply } = require('./fallback');
+const { complete } = require('./llm');
+const { renderPrompt, checkOutput } = require('./prompts');
+const { sendMail, mailProblem, publicBaseUrl } = require('./mail');
+const log = require('./logger');
+
+const digests = getCollection('digests');
+const digestSettings = getCollection('digest_settings');
+const checkins = getCollection('checkins');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STEADY_CHANGE = 0.5; // Average rating points before a change is called up or down
+const MAX_NOTE_LENGTH = 500;
+const MAX_DIGESTS_PER_PASS = 20; // The rest wait for the next pass
+const DIGESTS_LISTED = 12;
+
+const DEFAULT_SETTINGS = { emailEnabled: false, email: null };
+
+// Sent in the user's language (lib/i18n.js)
+const EMAIL_TEXT = {
+    en: {
+        subject: (from, to) => `Your VYBIN week: ${from} to ${to}`,
+        changes: 'How each area moved:',
+        direction: { up: 'up', down: 'down', steady: 'about the same', new: 'new this week' },
+        open: 'See it any time under 📰 Weekly digest in VYBIN:',
+        footer: "You're getting this because you turned on weekly digest emails in VYBIN. You can turn them off there at any time."
+    },
+    es: {
+        subject: (from, to) => `Tu semana en VYBIN: del ${from} al ${to}`,
+        changes: 'Cómo cambió cada área:',
+        direction: { up: 'subió', down: 'bajó', steady: 'más o menos igual', new: 'nuevo esta semana' },
+        open: 'Puedes verlo cuando quieras en 📰 Resumen semanal en VYBIN:',
+        footer: 'Recibes este correo porque activaste los resúmenes semanales por correo en VYBIN. Puedes desactivarlos ahí cuando quieras.'
+    }
+};
+
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// The last full Monday-Sunday week before `now`
+function previousWeek(now) {
+    const today = new Date(`${toDateOnly(now)}T00:00:00Z`);
+    const thisMonday = new Date(today.getTime() - ((today.getUTCDay() + 6) % 7) * DAY_MS);
+    return {
+        weekStart: toDateOnly(new Date(thisMonday.getTime() - 7 * DAY_MS)),
+        weekEnd: toDateOnly(new Date(thisMonday.getTime() - DAY_MS))
+    };
+}
+
+function shiftDate(dateOnly, days) {
+    return toDateOnly(new Date(Date.parse(`${dateOnly}T00:00:00Z`) + days * DAY_MS));
+}
+
+function getDigestSettings(userId) {
+    const stored = digestSettings.findOne(s => s.userId === userId);
+    return {
+        emailEnabled: stored ? stored.emailEnabled : DEFAULT_SETTINGS.emailEnabled,
+        email: stored ? stored.email : DEFAULT_SETTINGS.email
+    };
+}
+
+// changes are already schema-validated
+function updateDigestSettings(userId, changes) {
+    const next = { ...getDigestSettings(userId), ...changes };
+    if (next.email) next.email = next.email.trim().toLowerCase();
+    if (next.emailEnabled && !next.email) {
+        return { error: 'Add the email address the digest should go to' };
+    }
+
+    const stored = digestSettings.findOne(s => s.userId === userId);
+    const fields = { emailEnabled: next.emailEnabled, email: next.email || null };
+    if (stored) {
+        digestSettings.update(stored.id, fields);
+    } else {
+        digestSettings.insert({ userId, ...fields });
+    }
+    return { settings: getDigestSettings(userId) };
+}
+
+function toPublicDigest(digest) {
+    return {
+        id: digest.id,
+        weekStart: digest.weekStart,
+        weekEnd: digest.weekEnd,
+        checkins: digest.checkins,
+        daysWithCheckins: digest.daysWithCheckins,
+        dimensions: digest.dimensions,
+        reflection: digest.reflection,
+        fallback: digest.fallback,
+        crisis: digest.crisis,
+        emailed: digest.emailStatus === 'sent',
+        createdAt: digest.createdAt
+    };
+}
+
+// Newest first
+function listDigests(userId, { limit = DIGESTS_LISTED } = {}) {
+    return digests
+        .find(d => d.userId === userId)
+        .sort((a, b) => b.weekStart.localeCompare(a.weekStart))
+        .slice(0, limit)
+        .map(toPublicDigest);
+}
+
+// Each rated dimension's weekly average against the week before
+function dimensionChanges(week, previous) {
+    return DIMENSIONS.filter(d => week.dimensions[d]).map(dimension => {
+        const average = week.dimensions[dimension].average;
+        const before = previous.dimensions[dimension];
+        const change = before ? round(average - before.average) : null;
+        return {
+            dimension,
+            label: dimensionLabel(dimension),
+            average,
+            previousAverage: before ? before.average : null,
+            change,
+            direction: change === null ? 'new' : Math.abs(change) < STEADY_CHANGE ? 'steady' : change > 0 ? 'up' : 'down'
+        };
+    });
+}
+
+// "2026-10-14: what they wrote", oldest first
+function weekNotes(weekCheckins) {
+    return weekCheckins
+        .filter(c => c.context && c.context.trim())
+        .map(c => `${c.dateOnly}: ${c.context.trim().replace(/\s+/g, ' ').slice(0, MAX_NOTE_LENGTH)}`)
+        .join('\n');
+}
+
+// The numbers for one user's week; null when they didn't check in that week
+function summarizeWeek(userId, { weekStart, weekEnd }) {
+    const all = loadUserHistory(userId).checkins;
+    const week = buildTrends(all, { from: weekStart, to: weekEnd, today: weekEnd });
+    if (week.totalCheckins === 0) return null;
+
+    const previous = buildTrends(all, { from: shiftDate(weekStart, -7), to: shiftDate(weekStart, -1) });
+    const weekCheckins = all.filter(c => c.dateOnly >= weekStart && c.dateOnly <= weekEnd);
+    return {
+        checkins: week.totalCheckins,
+        daysWithCheckins: week.daysWithCheckins,
+        dimensions: dimensionChanges(week, previous),
+        // Patterns over everything up to the end of the week, as the prompts use them
+        patterns: describePatterns(buildTrends(all, { to: weekEnd, today: weekEnd })),
+        notes: weekNotes(weekCheckins)
+    };
+}
+
+// Claude's reflection, or the template when the user is over their token budget
+async function writeReflection(userId, locale, week, summary) {
+    if (checkBudget(userId)) {
+        recordFallback(userId, { route: 'weekly-digest' });
+        return { reflection: templatedReply('weekly-digest', locale), fallback: { reason: 'budget', source: 'template' } };
+    }
+
+    const prompt = renderPrompt('weekly-digest', { ...week, ...summary, checkinCount: summary.checkins, locale });
+    const { text, usage } = await complete({
+        route: 'weekly-digest',
+        system: prompt.system,
+        messages: prompt.messages
+    });
+    recordTokens(userId, { route: 'weekly-digest', usage });
+
+    const { text: reflection, removed } = checkOutput(text);
+    if (removed.length > 0) {
+        log.warn('🛡️ VYBIN: Removed unverified contact details', { route: 'weekly-digest', removed: removed.map(r => r.type) });
+    }
+    return { reflection, fallback: null, prompt: prompt.id };
+}
+
+function emailText(digest, locale, baseUrl) {
+    const text = EMAIL_TEXT[locale] || EMAIL_TEXT[DEFAULT_LOCALE];
+    const changes = digest.dimensions.map(d => {
+        const amount = d.direction === 'up' || d.direction === 'down' ? ` ${Math.abs(d.change)}` : '';
+        return `- ${dimensionLabel(d.dimension, locale)}: ${d.average}/${SCALE.max} (${text.direction[d.direction]}${amount})`;
+    });
+    const crisis = digest.crisis ?
+        ['', digest.crisis.message, ...digest.crisis.contacts.map(c => `- ${c.name}: ${c.action}`)] :
+        [];
+
+    return [
+        digest.reflection,
+        ...crisis,
+        '',
+        text.changes,
+        ...changes,
+        '',
+        text.open,
+        baseUrl,
+        '',
+        text.footer
+    ].join('\n');
+}
+
+// The reflection is written from their private notes, so it is never handed
+// to a stand-in transport that would print or save it in production
+async function emailDigest(digest, locale, settings) {
+    const problem = mailProblem();
+    if (problem) {
+        log.warn('📮 VYBIN: Digest email not sent', { reason: problem });
+        return 'failed';
+    }
+    const text = EMAIL_TEXT[locale] || EMAIL_TEXT[DEFAULT_LOCALE];
+    const baseUrl = publicBaseUrl();
+    if (!baseUrl) return 'failed';
+    try {
+        await sendMail({
+            to: settings.email,
+            subject: text.subject(digest.weekStart, digest.weekEnd),
+            text: emailText(digest, locale, `${baseUrl}/`)
+        });
+        return 'sent';
+    } catch (error) {
+        log.error('💥 VYBIN: Could not email digest', error);
+        return 'failed';
+    }
+}
+
+// Writes and saves one user's digest for a week. null when there was nothing to
+// write about; throws when the reflection could not be generated
+async function createDigest(userId, week) {
+    const summary = summarizeWeek(userId, week);
+    if (!summary) return null;
+
+    const locale = getUserLocale(userId);
+    // Safety screening runs before any AI call; their notes are what it reads
+    const crisis = screenForCrisis(userId, 'weekly-digest', { text: summary.notes }, locale);
+    const { reflection, fallback, prompt = null } = await writeReflection(userId, locale, week, summary);
+
+    const settings = getDigestSettings(userId);
+    const digest = digests.insert({
+        userId,
+        ...week,
+        checkins: summary.checkins,
+        daysWithCheckins: summary.daysWithCheckins,
+        dimensions: summary.dimensions.map(({ label, ...change }) => change),
+        reflection,
+        fallback,
+        crisis,
+        prompt,
+        emailStatus: settings.emailEnabled ? 'pending' : 'off'
+    });
+
+    if (settings.emailEnabled) {
+        return digests.update(digest.id, { emailStatus: await emailDigest(digest, locale, settings) });
+    }
+    return digest;
+}
+
+// One scheduler pass for the week before `now`. Returns counts for logging and
+// the admin endpoint; userId limits the pass to one account (for testing)
+async function runDigests(now = new Date(), { userId } = {}) {
+    const week = previousWeek(now);
+    const summary = { ...week, checked: 0, created: 0, emailed: 0, failed: 0, deferred: 0 };
+
+    const done = new Set(digests.find(d => d.weekStart === week.weekStart).map(d => d.userId));
+    const due = [...new Set(checkins
+        .find(c => c.dateOnly >= week.weekStart && c.dateOnly <= week.weekEnd && (!userId || c.userId === userId))
+        .map(c => c.userId))]
+        .filter(id => !done.has(id));
+
+    for (const id of due) {
+        if (summary.checked >= MAX_DIGESTS_PER_PASS) {
+            summary.deferred++;
+            continue;
+        }
+        summary.checked++;
+
+        try {
+            const digest = await createDigest(id, week);
+            if (!digest) continue;
+            summary.created++;
+            if (digest.emailStatus === 'sent') summary.emailed++;
+            log.info('📰 VYBIN: Weekly digest written', { weekStart: week.weekStart, fallback: !!digest.fallback, emailStatus: digest.emailStatus });
+        } catch (error) {
+            summary.failed++;
+            log.error('💥 VYBIN: Weekly digest failed', error);
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    getDigestSettings,
+    updateDigestSettings,
+    listDigests,
+    runDigests
+};
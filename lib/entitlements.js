@@ -0,0 +1,151 @@
+// lib/entitlements.js - VYBIN plans, quotas and premium entitlements
+//
+// Quotas are counted on the server per check-in and per day, so the client
+// can no longer reset its own limits by sending `conversationCount: 0`. A
+// slot is reserved before the AI call (reserveQuota) and given back when no
+// AI reply was served (releaseQuota), so parallel requests can't all slip
+// past the check.
+const { getCollection } = require('./store');
+const { errorBody } = require('./errors');
+const log = require('./logger');
+
+const subscriptions = getCollection('subscriptions');
+const usageCounters = getCollection('usage_counters');
+
+// null means unlimited. Token budgets are what the plan can cost us in
+// Claude tokens (input + output); they are enforced in lib/usage.js
+const PLANS = {
+    free: {
+        name: 'VYBIN Free',
+        conversationsPerCheckin: 2,
+        aiRequestsPerDay: 12,
+        tokensPerDay: 40000,
+        tokensPerMonth: 400000
+    },
+    premium: {
+        name: 'VYBIN™ Premium',
+        conversationsPerCheckin: null,
+        aiRequestsPerDay: null,
+        tokensPerDay: 250000,
+        tokensPerMonth: 2500000,
+        priceCents: 799
+    }
+};
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+function getSubscription(userId) {
+    return subscriptions.findOne(s => s.userId === userId) || null;
+}
+
+function getPlanId(userId) {
+    const subscription = getSubscription(userId);
+    if (!subscription || subscription.status !== 'active') return 'free';
+    if (subscription.currentPeriodEnd && new Date(subscription.currentPeriodEnd).getTime() < Date.now()) {
+        return 'free';
+    }
+    return PLANS[subscription.plan] ? subscription.plan : 'free';
+}
+
+function setPlan(userId, plan, details = {}) {
+    const existing = getSubscription(userId);
+    const fields = { userId, plan, status: plan === 'free' ? 'canceled' : 'active', ...details };
+    return existing ? subscriptions.update(existing.id, fields) : subscriptions.insert(fields);
+}
+
+function counterKey(scope, id) {
+    return `${scope}:${id}`;
+}
+
+function readCounter(userId, key) {
+    const counter = usageCounters.findOne(c => c.userId === userId && c.key === key);
+    return counter ? counter.count : 0;
+}
+
+function adjustCounter(userId, key, by) {
+    const counter = usageCounters.findOne(c => c.userId === userId && c.key === key);
+    if (counter) {
+        usageCounters.update(counter.id, { count: Math.max(counter.count + by, 0) });
+    } else if (by > 0) {
+        usageCounters.insert({ userId, key, count: by });
+    }
+}
+
+function remaining(limit, used) {
+    return limit === null ? null : Math.max(limit - used, 0);
+}
+
+// Snapshot of a user's plan and what is left today / for a check-in
+function getEntitlements(userId, checkinId = null) {
+    const planId = getPlanId(userId);
+    const plan = PLANS[planId];
+    const usedToday = readCounter(userId, counterKey('day', today()));
+    const usedForCheckin = checkinId ? readCounter(userId, counterKey('checkin', checkinId)) : 0;
+
+    return {
+        plan: planId,
+        planName: plan.name,
+        limits: {
+            conversationsPerCheckin: plan.conversationsPerCheckin,
+            aiRequestsPerDay: plan.aiRequestsPerDay
+        },
+        usage: {
+            aiRequestsToday: usedToday,
+            conversationsForCheckin: usedForCheckin
+        },
+        remaining: {
+            aiRequestsToday: remaining(plan.aiRequestsPerDay, usedToday),
+            conversationsForCheckin: checkinId ? remaining(plan.conversationsPerCheckin, usedForCheckin) : null
+        }
+    };
+}
+
+// Counts one AI call against the daily and per-check-in quotas before it is
+// made. Returns { reservation } when allowed, or { error } with the consistent
+// requiresUpgrade body. Check and count happen together, with nothing awaited
+// in between, so concurrent requests see each other's reservations
+function reserveQuota(userId, { route, checkinId = null }) {
+    const entitlements = getEntitlements(userId, checkinId);
+
+    if (entitlements.remaining.aiRequestsToday === 0) {
+        return { error: upgradeError(entitlements, `You've reached today's free limit of ${entitlements.limits.aiRequestsPerDay} AI responses. Upgrade to premium for unlimited responses.`) };
+    }
+
+    if (route === 'continue-conversation' && entitlements.remaining.conversationsForCheckin === 0) {
+        return { error: upgradeError(entitlements, 'Conversation limit reached. Upgrade to premium for unlimited conversations.') };
+    }
+
+    const keys = [counterKey('day', today())];
+    if (route === 'continue-conversation' && checkinId) {
+        keys.push(counterKey('checkin', checkinId));
+    }
+    keys.forEach(key => adjustCounter(userId, key, 1));
+    return { reservation: { userId, keys, released: false } };
+}
+
+// Gives a reserved slot back: the AI call failed or a fallback reply was served
+// instead. Safe to call more than once, or with no reservation
+function releaseQuota(reservation) {
+    if (!reservation || reservation.released) return;
+    reservation.released = true;
+    reservation.keys.forEach(key => adjustCounter(reservation.userId, key, -1));
+}
+
+function upgradeError(entitlements, message) {
+    log.info('🚫 VYBIN: Quota reached', { plan: entitlements.plan });
+    return errorBody(402, message, {
+        requiresUpgrade: true,
+        entitlements
+    });
+}
+
+module.exports = {
+    PLANS,
+    getPlanId,
+    setPlan,
+    getEntitlements,
+    reserveQuota,
+    releaseQuota
+};
@@ -0,0 +1,71 @@
+// lib/errors.js - VYBIN API error contract
+//
+// Every /api/* error response has the same JSON shape:
+//
+//   {
+//     "success": false,
+//     "error": "Human-readable message, safe to show the user",
+//     "code": "VALIDATION_ERROR",
+//     "details": [{ "field": "ratings.physical", "message": "must be a whole number from 1 to 5" }]
+//   }
+//
+// details is only present for field-level problems. Some errors carry extra
+// fields the frontend acts on: requiresLogin (401), requiresUpgrade and
+// entitlements (402), crisis whenever safety screening ran first, and
+// requestId on unexpected 500s so the failure can be found in the logs.
+const log = require('./logger');
+
+const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHENTICATED',
+    402: 'UPGRADE_REQUIRED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    502: 'UPSTREAM_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+function errorBody(status, error, extra = {}) {
+    return {
+        success: false,
+        error,
+        code: ERROR_CODES[status] || 'ERROR',
+        ...extra
+    };
+}
+
+function sendError(res, status, error, extra) {
+    return res.status(status).json(errorBody(status, error, extra));
+}
+
+// Unknown /api/* paths get the JSON contract instead of Express's HTML page
+function apiNotFound(req, res) {
+    sendError(res, 404, `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+// Last-resort handler: malformed JSON, oversized bodies and anything a route didn't catch
+function apiErrorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body is too large');
+    }
+
+    log.error('💥 VYBIN: Unhandled error', err);
+    // The request id lets support find this error in the logs without any user data
+    sendError(res, 500, 'Something went wrong. Please try again in a moment.', { requestId: req.id });
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorBody,
+    sendError,
+    apiNotFound,
+    apiErrorHandler
+};
@@ -0,0 +1,93 @@
+// lib/fallback.js - VYBIN replies that don't call Claude
+//
+// Used when a user is over their token budget (lib/usage.js), including for
+// their weekly digest (lib/digests.js), and when Claude is unavailable (calls
+// failing, or the circuit breaker in lib/llm open). A wellness
+// response already written for the same check-in is served again from its
+// thread; anything else gets a short template in the user's language, built
+// from the ratings when Claude is down. These replies carry
+// `fallback: { reason, source }` so the app can say so.
+const { getThreadForCheckin } = require('./conversations');
+const { DEFAULT_LOCALE } = require('./i18n');
+const { DIMENSIONS, dimensionLabel, isConcern, isStrength } = require('./instruments');
+
+const TEMPLATES = {
+    en: {
+        'preliminary-insights': "Thank you for checking in today. Taking a moment to notice how you're doing matters, whatever the numbers say.",
+        'wellness-response': "Thank you for sharing how you're doing today. I can't write a personal reflection right now, but your check-in is saved and your trends are up to date. I'll be able to reply in full again soon.",
+        'continue-conversation': "I can't continue our conversation right now - you've used your AI replies for the moment. Your check-in and this conversation are saved, and we can pick up again later.",
+        'weekly-digest': "Here's how your week looked. The changes below come straight from your check-ins - take a moment to notice what stands out to you, and what helped on the better days."
+    },
+    es: {
+        'preliminary-insights': 'Gracias por hacer tu registro de hoy. Tomarte un momento para notar cómo estás es importante, sin importar los números.',
+        'wellness-response': 'Gracias por contarme cómo estás hoy. Ahora mismo no puedo escribir una reflexión personal, pero tu registro está guardado y tus tendencias están al día. Pronto podré responderte por completo otra vez.',
+        'continue-conversation': 'Ahora mismo no puedo continuar nuestra conversación: ya usaste tus respuestas de IA por el momento. Tu registro y esta conversación están guardados, y podemos retomarla más tarde.',
+        'weekly-digest': 'Así se vio tu semana. Los cambios de abajo salen directamente de tus registros - tómate un momento para notar qué te llama la atención y qué te ayudó en los días mejores.'
+    }
+};
+
+// Basic replies from the ratings alone: which areas are at or below the
+// concern threshold and which at or above strength, without guessing why
+const BASIC_TEXT = {
+    en: {
+        opening: {
+            'preliminary-insights': 'Thank you for checking in today.',
+            'wellness-response': "Thank you for sharing how you're doing today."
+        },
+        concerns: (list, count) => `Your ${list} ${count === 1 ? 'rating is' : 'ratings are'} on the lower side. That can be a lot to carry, and you don't have to work it all out at once.`,
+        strengths: (list, count) => `Your ${list} ${count === 1 ? 'rating is' : 'ratings are'} stronger - that's something you can lean on.`,
+        middle: 'Your ratings sit somewhere in the middle today, and noticing that is worthwhile too.',
+        closing: {
+            'preliminary-insights': "If you'd like, add a few words about what's going on - they're saved with your check-in.",
+            'wellness-response': 'Your check-in is saved. One small, kind thing for yourself today - a short walk, a glass of water, a message to someone you trust - can be a good place to start.'
+        }
+    },
+    es: {
+        opening: {
+            'preliminary-insights': 'Gracias por hacer tu registro de hoy.',
+            'wellness-response': 'Gracias por contarme cómo estás hoy.'
+        },
+        concerns: (list, count) => `${count === 1 ? 'El área' : 'Las áreas'} ${list} ${count === 1 ? 'salió más baja' : 'salieron más bajas'}. Puede ser mucho para cargar, y no tienes que resolverlo todo de una vez.`,
+        strengths: (list, count) => `${count === 1 ? 'El área' : 'Las áreas'} ${list} ${count === 1 ? 'salió más fuerte' : 'salieron más fuertes'} - es algo en lo que te puedes apoyar.`,
+        middle: 'Tus calificaciones están más o menos en el medio hoy, y notarlo también vale la pena.',
+        closing: {
+            'preliminary-insights': 'Si quieres, agrega unas palabras sobre lo que está pasando - quedan guardadas con tu registro.',
+            'wellness-response': 'Tu registro está guardado. Una pequeña cosa amable para ti hoy - una caminata corta, un vaso de agua, un mensaje a alguien de confianza - puede ser un buen comienzo.'
+        }
+    }
+};
+
+// The wellness response already in this check-in's thread, or null
+function cachedWellnessResponse(userId, checkinId) {
+    const thread = getThreadForCheckin(userId, checkinId);
+    const wellness = thread && thread.messages.find(m => m.kind === 'wellness');
+    return wellness ? { threadId: thread.id, response: wellness.content } : null;
+}
+
+function templatedReply(route, locale = DEFAULT_LOCALE) {
+    return (TEMPLATES[locale] || TEMPLATES[DEFAULT_LOCALE])[route];
+}
+
+function listLabels(dimensions, locale) {
+    const labels = dimensions.map(d => dimensionLabel(d, locale));
+    return new Intl.ListFormat(locale, { style: 'long', type: 'conjunction' }).format(labels);
+}
+
+// For preliminary-insights and wellness-response when Claude is unavailable.
+// The same ratings always give the same reply
+function basicReply(route, { ratings, locale = DEFAULT_LOCALE }) {
+    const lang = BASIC_TEXT[locale] ? locale : DEFAULT_LOCALE;
+    const text = BASIC_TEXT[lang];
+    const rated = DIMENSIONS.filter(d => ratings[d] !== undefined);
+    const concerns = rated.filter(d => isConcern(ratings[d]));
+    const strengths = rated.filter(d => isStrength(ratings[d]));
+
+    const middle = [];
+    if (concerns.length > 0) middle.push(text.concerns(listLabels(concerns, lang), concerns.length));
+    if (strengths.length > 0) middle.push(text.strengths(listLabels(strengths, lang), strengths.length));
+    if (middle.length === 0) middle.push(text.middle);
+
+    return [text.opening[route], ...middle, text.closing[route]].join(' ');
+}
+
+module.exports = { cachedWellnessResponse, templatedReply, basicReply };
@@ -0,0 +1,236 @@
+// lib/goals.js - VYBIN wellness goals and action plans
+//
+// A goal belongs to one check-in dimension ("Financial: build a small
+// cushion") and holds the tasks the user is working on - written by them or
+// picked from the steps a wellness response suggested. At each check-in the
+// user is asked how open tasks went; those answers are the task's updates.
+// Active goals and how their tasks are going are passed to the wellness
+// prompt so the companion can follow up instead of starting over each day.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { dimensionLabel } = require('./instruments');
+
+const goals = getCollection('goals');
+
+const GOAL_STATUSES = ['active', 'completed', 'archived'];
+const TASK_STATUSES = ['open', 'done', 'dropped'];
+const OUTCOMES = ['done', 'partly', 'not_yet', 'dropped'];
+const MAX_ACTIVE_GOALS = 10;
+const MAX_TASKS_PER_GOAL = 20;
+const MAX_UPDATES_KEPT = 30; // Per task; the prompt only looks at the latest
+const MAX_SUGGESTED_ACTIONS = 3;
+
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function toPublicGoal(goal) {
+    const counted = goal.tasks.filter(t => t.status !== 'dropped');
+    return {
+        id: goal.id,
+        dimension: goal.dimension,
+        dimensionLabel: dimensionLabel(goal.dimension),
+        title: goal.title,
+        why: goal.why,
+        status: goal.status,
+        tasks: goal.tasks,
+        progress: {
+            done: counted.filter(t => t.status === 'done').length,
+            total: counted.length
+        },
+        createdAt: goal.createdAt,
+        updatedAt: goal.updatedAt || goal.createdAt
+    };
+}
+
+function findGoal(userId, id) {
+    const goal = goals.get(id);
+    return goal && goal.userId === userId ? goal : null;
+}
+
+// Active goals first, then by most recent change
+function listGoals(userId, { status = 'active' } = {}) {
+    const order = goal => GOAL_STATUSES.indexOf(goal.status);
+    return goals
+        .find(g => g.userId === userId && (status === 'all' || g.status === status))
+        .sort((a, b) => order(a) - order(b) || (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt))
+        .map(toPublicGoal);
+}
+
+function getGoal(userId, id) {
+    const goal = findGoal(userId, id);
+    return goal ? toPublicGoal(goal) : null;
+}
+
+function createGoal(userId, { dimension, title, why = '' }) {
+    const active = goals.find(g => g.userId === userId && g.status === 'active').length;
+    if (active >= MAX_ACTIVE_GOALS) {
+        return { error: `You can have up to ${MAX_ACTIVE_GOALS} active goals - complete or archive one first` };
+    }
+
+    const goal = goals.insert({
+        userId,
+        dimension,
+        title: title.trim(),
+        why: why.trim(),
+        status: 'active',
+        tasks: []
+    });
+    return { goal: toPublicGoal(goal) };
+}
+
+function updateGoal(userId, id, { title, why, status }) {
+    const goal = findGoal(userId, id);
+    if (!goal) return { notFound: true };
+
+    if (status === 'active' && goal.status !== 'active') {
+        const active = goals.find(g => g.userId === userId && g.status === 'active').length;
+        if (active >= MAX_ACTIVE_GOALS) {
+            return { error: `You can have up to ${MAX_ACTIVE_GOALS} active goals - complete or archive one first` };
+        }
+    }
+
+    const changes = {};
+    if (title !== undefined) changes.title = title.trim();
+    if (why !== undefined) changes.why = why.trim();
+    if (status !== undefined) changes.status = status;
+    return { goal: toPublicGoal(goals.update(id, changes)) };
+}
+
+function deleteGoal(userId, id) {
+    if (!findGoal(userId, id)) return false;
+    return goals.remove(id);
+}
+
+// source is 'suggested' when the task came from a wellness response's steps
+function addTask(userId, goalId, { text, source = 'manual', checkinId = null }) {
+    const goal = findGoal(userId, goalId);
+    if (!goal) return { notFound: true };
+    if (goal.tasks.length >= MAX_TASKS_PER_GOAL) {
+        return { error: `A goal can have up to ${MAX_TASKS_PER_GOAL} tasks` };
+    }
+
+    const task = {
+        id: crypto.randomUUID(),
+        text: text.trim(),
+        status: 'open',
+        source,
+        checkinId,
+        createdAt: now(),
+        updates: []
+    };
+    const updated = goals.update(goalId, { tasks: [...goal.tasks, task] });
+    return { goal: toPublicGoal(updated), task };
+}
+
+function changeTask(userId, goalId, taskId, change) {
+    const goal = findGoal(userId, goalId);
+    const task = goal && goal.tasks.find(t => t.id === taskId);
+    if (!task) return { notFound: true };
+
+    const changed = change(task);
+    const updated = goals.update(goalId, { tasks: goal.tasks.map(t => (t.id === taskId ? changed : t)) });
+    return { goal: toPublicGoal(updated), task: changed };
+}
+
+function updateTask(userId, goalId, taskId, { text, status }) {
+    return changeTask(userId, goalId, taskId, task => ({
+        ...task,
+        text: text !== undefined ? text.trim() : task.text,
+        status: status !== undefined ? status : task.status
+    }));
+}
+
+function deleteTask(userId, goalId, taskId) {
+    const goal = findGoal(userId, goalId);
+    if (!goal || !goal.tasks.some(t => t.id === taskId)) return { notFound: true };
+    return { goal: toPublicGoal(goals.update(goalId, { tasks: goal.tasks.filter(t => t.id !== taskId) })) };
+}
+
+// The check-in follow-up: "done" and "dropped" close the task, "partly" and
+// "not_yet" keep it open for the next check-in
+function recordProgress(userId, goalId, taskId, { outcome, note = '', checkinId = null }) {
+    return changeTask(userId, goalId, taskId, task => ({
+        ...task,
+        status: outcome === 'done' ? 'done' : outcome === 'dropped' ? 'dropped' : 'open',
+        updates: [...task.updates, { outcome, note: note.trim(), checkinId, at: now() }].slice(-MAX_UPDATES_KEPT)
+    }));
+}
+
+// Open tasks on active goals that haven't been asked about today - a task
+// added today is first asked about at tomorrow's check-in
+function tasksToFollowUp(userId, today = toDateOnly(new Date())) {
+    const due = [];
+    for (const goal of goals.find(g => g.userId === userId && g.status === 'active')) {
+        for (const task of goal.tasks) {
+            if (task.status !== 'open') continue;
+            const last = task.updates.length > 0 ? task.updates[task.updates.length - 1].at : task.createdAt;
+            if (last.slice(0, 10) < today) {
+                due.push({
+                    goalId: goal.id,
+                    goalTitle: goal.title,
+                    dimension: goal.dimension,
+                    dimensionLabel: dimensionLabel(goal.dimension),
+                    task
+                });
+            }
+        }
+    }
+    return due;
+}
+
+// What the wellness prompt gets: each active goal with its tasks and how
+// each went most recently
+function goalsForPrompt(userId) {
+    return goals.find(g => g.userId === userId && g.status === 'active').map(goal => ({
+        dimension: dimensionLabel(goal.dimension),
+        title: goal.title,
+        tasks: goal.tasks
+            .filter(task => task.status !== 'dropped')
+            .map(task => ({
+                text: task.text,
+                status: task.status,
+                lastOutcome: task.updates.length > 0 ? task.updates[task.updates.length - 1].outcome : null
+            }))
+    }));
+}
+
+// Steps a wellness response suggested, as candidate tasks: sentences or list
+// items that read like a suggestion ("You could try a 10-minute walk",
+// "Podrías intentar una caminata de 10 minutos" in a Spanish reply)
+const SUGGESTION = /\b(try|consider|start|set aside|schedule|write down|make a|take a|reach out|call|plan|pick|spend|go for|give yourself|look into|small step|intenta\w*|prueba|probar|considera\w*|empieza|empezar|dedica\w*|programa\w*|escrib\w+|haz una|hacer una|toma\w* un|busca\w*|llama\w*|planea\w*|elige|elegir|sal a|salir a|date|darte|pequeño paso)\b/i;
+const LEAD_IN = /^(?:(?:maybe|perhaps|today|tonight|this week|quizás|quizá|tal vez|hoy|esta noche|esta semana),?\s+)?(?:you (?:could|might|may want to|can)|it (?:might|may|could) help to|(?:one|a) (?:small |simple |good )?(?:idea|option|step)(?: that [a-z ]{1,30}?)? (?:is|would be|could be|might be)(?: to)?|(?:podrías|puedes|te (?:podría|puede) ayudar|podría ayudarte)|(?:un|una) (?:pequeño |buen |buena )?(?:idea|opción|paso)(?: pequeño| sencillo)? (?:es|sería|podría ser))\s+/i;
+
+function suggestedActions(text) {
+    const candidates = String(text || '')
+        .split(/\n+|(?<=[.!?])\s+/)
+        .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+        .filter(line => line.length >= 15 && line.length <= 200 && !line.endsWith('?') && SUGGESTION.test(line))
+        .map(line => {
+            const action = line.replace(LEAD_IN, '').replace(/[.!]+$/, '');
+            return action.charAt(0).toUpperCase() + action.slice(1);
+        });
+    return [...new Set(candidates)].slice(0, MAX_SUGGESTED_ACTIONS);
+}
+
+module.exports = {
+    GOAL_STATUSES,
+    TASK_STATUSES,
+    OUTCOMES,
+    listGoals,
+    getGoal,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    addTask,
+    updateTask,
+    deleteTask,
+    recordProgress,
+    tasksToFollowUp,
+    goalsForPrompt,
+    suggestedActions
+};
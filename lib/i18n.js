@@ -0,0 +1,77 @@
+// lib/i18n.js - VYBIN languages
+//
+// Each user has a locale ("en" or "es"). It picks the UI message catalog
+// (public/locales/<locale>.json), the speech recognition and voice language,
+// the language Claude is told to reply in, and the translated text of
+// instruments, crisis contacts and directory entries. English is the source
+// language: anything without a translation falls back to it.
+const { getCollection } = require('./store');
+
+const users = getCollection('users');
+
+// speech is the BCP 47 tag for the Web Speech APIs; promptLanguage is how
+// prompts name it and promptStyle any extra guidance on register
+const LOCALES = {
+    en: { name: 'English', speech: 'en-US', promptLanguage: 'English' },
+    es: {
+        name: 'Español',
+        speech: 'es-US',
+        promptLanguage: 'Spanish (español)',
+        promptStyle: 'Use the informal "tú" and plain, warm Spanish that reads naturally to people in the US from any Spanish-speaking country.'
+    }
+};
+const DEFAULT_LOCALE = 'en';
+const LOCALE_CODES = Object.keys(LOCALES);
+
+function isSupportedLocale(locale) {
+    return LOCALE_CODES.includes(locale);
+}
+
+// "es-MX", "ES" or an Accept-Language header -> "es"; anything else -> the default
+function resolveLocale(value) {
+    for (const tag of String(value || '').split(',')) {
+        const language = tag.trim().split(/[-_;]/)[0].toLowerCase();
+        if (isSupportedLocale(language)) return language;
+    }
+    return DEFAULT_LOCALE;
+}
+
+function listLocales() {
+    return LOCALE_CODES.map(code => ({ code, name: LOCALES[code].name, speech: LOCALES[code].speech }));
+}
+
+// An object with its translations[locale] fields laid over the English ones;
+// only the listed fields can be replaced, and translations never leave here
+function localize(item, locale, fields) {
+    const { translations, ...base } = item;
+    const translated = translations && translations[locale];
+    if (!translated) return base;
+
+    const result = { ...base };
+    for (const field of fields) {
+        if (translated[field]) result[field] = translated[field];
+    }
+    return result;
+}
+
+function getUserLocale(userId) {
+    const user = users.get(userId);
+    return user && isSupportedLocale(user.locale) ? user.locale : DEFAULT_LOCALE;
+}
+
+function setUserLocale(userId, locale) {
+    if (!users.get(userId)) return null;
+    return users.update(userId, { locale }).locale;
+}
+
+module.exports = {
+    LOCALES,
+    LOCALE_CODES,
+    DEFAULT_LOCALE,
+    isSupportedLocale,
+    resolveLocale,
+    listLocales,
+    localize,
+    getUserLocale,
+    setUserLocale
+};
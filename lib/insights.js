@@ -0,0 +1,269 @@
+// lib/insights.js - VYBIN wellness trends and patterns
+//
+// Turns a user's check-ins into per-dimension time series, weekly/monthly
+// averages, check-in streaks, volatility and which dimensions move together.
+// The same numbers power /api/insights/trends, the dashboard screen and the
+// "patterns" section of the AI prompts.
+const { getCollection } = require('./store');
+const { DIMENSIONS, THRESHOLDS, dimensionLabel, formatRating, isStrength } = require('./instruments');
+
+const checkins = getCollection('checkins');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_DAYS_FOR_TREND = 3; // Fewer rated days than this is just noise
+const MIN_DAYS_FOR_CORRELATION = 5;
+const CORRELATION_THRESHOLD = 0.5;
+const TREND_THRESHOLD_PER_WEEK = 0.25; // Rating points per week before we call it a trend
+const LOW_AVERAGE = THRESHOLDS.concern + 0.5; // An average that rounds to a concern rating
+
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+    return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - avg) * (v - avg))));
+}
+
+function dayNumber(dateOnly) {
+    return Math.round(Date.parse(`${dateOnly}T00:00:00Z`) / DAY_MS);
+}
+
+// Monday of the week containing dateOnly, as YYYY-MM-DD
+function weekStart(dateOnly) {
+    const date = new Date(`${dateOnly}T00:00:00Z`);
+    const offset = (date.getUTCDay() + 6) % 7;
+    return toDateOnly(new Date(date.getTime() - offset * DAY_MS));
+}
+
+// One point per day per dimension: the average of that day's ratings
+function dailySeries(sortedCheckins) {
+    const days = new Map();
+    for (const checkin of sortedCheckins) {
+        if (!days.has(checkin.dateOnly)) days.set(checkin.dateOnly, {});
+        const day = days.get(checkin.dateOnly);
+        for (const [dimension, rating] of Object.entries(checkin.ratings)) {
+            (day[dimension] = day[dimension] || []).push(rating);
+        }
+    }
+
+    const series = {};
+    for (const dimension of DIMENSIONS) {
+        series[dimension] = [];
+        for (const [date, day] of days) {
+            if (day[dimension]) {
+                series[dimension].push({ date, value: round(mean(day[dimension])), count: day[dimension].length });
+            }
+        }
+    }
+    return series;
+}
+
+// Per-dimension averages grouped by a period key (week start or YYYY-MM)
+function periodAverages(sortedCheckins, keyFor, keyName) {
+    const periods = new Map();
+    for (const checkin of sortedCheckins) {
+        const key = keyFor(checkin.dateOnly);
+        if (!periods.has(key)) periods.set(key, { checkins: 0, ratings: {} });
+        const period = periods.get(key);
+        period.checkins++;
+        for (const [dimension, rating] of Object.entries(checkin.ratings)) {
+            (period.ratings[dimension] = period.ratings[dimension] || []).push(rating);
+        }
+    }
+
+    return [...periods].map(([key, period]) => {
+        const averages = {};
+        for (const [dimension, values] of Object.entries(period.ratings)) {
+            averages[dimension] = round(mean(values));
+        }
+        return { [keyName]: key, checkins: period.checkins, averages };
+    });
+}
+
+// Streaks count consecutive calendar days with at least one check-in. The
+// current streak is still alive if the last check-in was yesterday.
+function computeStreaks(dateOnlys, today) {
+    const days = [...new Set(dateOnlys)].map(dayNumber).sort((a, b) => a - b);
+    if (days.length === 0) {
+        return { current: 0, longest: 0, lastCheckinDate: null };
+    }
+
+    let longest = 1;
+    let run = 1;
+    for (let i = 1; i < days.length; i++) {
+        run = days[i] === days[i - 1] + 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    }
+
+    const last = days[days.length - 1];
+    const current = dayNumber(today) - last <= 1 ? run : 0;
+    return {
+        current,
+        longest,
+        lastCheckinDate: toDateOnly(new Date(last * DAY_MS))
+    };
+}
+
+// Least-squares slope of a daily series, in rating points per day
+function slope(points) {
+    const xs = points.map(p => dayNumber(p.date));
+    const ys = points.map(p => p.value);
+    const xMean = mean(xs);
+    const yMean = mean(ys);
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < xs.length; i++) {
+        numerator += (xs[i] - xMean) * (ys[i] - yMean);
+        denominator += (xs[i] - xMean) * (xs[i] - xMean);
+    }
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+function summarizeDimension(points) {
+    if (points.length === 0) return null;
+
+    const values = points.map(p => p.value);
+    const changes = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+    const perWeek = points.length >= MIN_DAYS_FOR_TREND ? slope(points) * 7 : 0;
+
+    return {
+        average: round(mean(values)),
+        latest: values[values.length - 1],
+        min: Math.min(...values),
+        max: Math.max(...values),
+        daysRated: points.length,
+        volatility: {
+            standardDeviation: round(standardDeviation(values)),
+            averageDailyChange: changes.length ? round(mean(changes)) : 0
+        },
+        changePerWeek: round(perWeek),
+        direction: points.length < MIN_DAYS_FOR_TREND || Math.abs(perWeek) < TREND_THRESHOLD_PER_WEEK ?
+            'steady' : (perWeek > 0 ? 'improving' : 'declining')
+    };
+}
+
+function pearson(xs, ys) {
+    const xMean = mean(xs);
+    const yMean = mean(ys);
+    let covariance = 0;
+    let xVariance = 0;
+    let yVariance = 0;
+    for (let i = 0; i < xs.length; i++) {
+        covariance += (xs[i] - xMean) * (ys[i] - yMean);
+        xVariance += (xs[i] - xMean) * (xs[i] - xMean);
+        yVariance += (ys[i] - yMean) * (ys[i] - yMean);
+    }
+    if (xVariance === 0 || yVariance === 0) return null;
+    return covariance / Math.sqrt(xVariance * yVariance);
+}
+
+// Pairs of dimensions whose daily values rise and fall together (or opposite)
+function coMovement(series) {
+    const pairs = [];
+    for (let i = 0; i < DIMENSIONS.length; i++) {
+        for (let j = i + 1; j < DIMENSIONS.length; j++) {
+            const a = DIMENSIONS[i];
+            const b = DIMENSIONS[j];
+            const bByDate = new Map(series[b].map(p => [p.date, p.value]));
+            const shared = series[a].filter(p => bByDate.has(p.date));
+            if (shared.length < MIN_DAYS_FOR_CORRELATION) continue;
+
+            const r = pearson(shared.map(p => p.value), shared.map(p => bByDate.get(p.date)));
+            if (r === null || Math.abs(r) < CORRELATION_THRESHOLD) continue;
+
+            pairs.push({
+                dimensions: [a, b],
+                correlation: round(r),
+                relationship: r > 0 ? 'together' : 'opposite',
+                sharedDays: shared.length
+            });
+        }
+    }
+    return pairs.sort((x, y) => Math.abs(y.correlation) - Math.abs(x.correlation));
+}
+
+// Trends for a list of check-ins, optionally limited to a YYYY-MM-DD range
+// (inclusive). Streaks always use the full list so a range can't break them.
+function buildTrends(allCheckins, { from, to, today = toDateOnly(new Date()) } = {}) {
+    const sorted = [...allCheckins].sort((a, b) => a.timestamp - b.timestamp);
+    const inRange = sorted.filter(c => (!from || c.dateOnly >= from) && (!to || c.dateOnly <= to));
+
+    const series = dailySeries(inRange);
+    const dimensions = {};
+    for (const dimension of DIMENSIONS) {
+        const summary = summarizeDimension(series[dimension]);
+        if (summary) dimensions[dimension] = summary;
+    }
+
+    return {
+        range: {
+            from: from || (inRange[0] ? inRange[0].dateOnly : null),
+            to: to || (inRange.length ? inRange[inRange.length - 1].dateOnly : null)
+        },
+        totalCheckins: inRange.length,
+        daysWithCheckins: new Set(inRange.map(c => c.dateOnly)).size,
+        series,
+        dimensions,
+        weekly: periodAverages(inRange, weekStart, 'weekStart'),
+        monthly: periodAverages(inRange, dateOnly => dateOnly.slice(0, 7), 'month'),
+        streaks: computeStreaks(sorted.map(c => c.dateOnly), today),
+        coMovement: coMovement(series)
+    };
+}
+
+function getTrends(userId, options = {}) {
+    return buildTrends(checkins.find(c => c.userId === userId), options);
+}
+
+// Plain-language pattern lines for the AI prompts. Empty until there is
+// enough history to say something real.
+function describePatterns(trends) {
+    if (!trends || trends.daysWithCheckins < MIN_DAYS_FOR_TREND) return [];
+
+    const lines = [];
+    const { streaks, dimensions } = trends;
+
+    if (streaks.current > 1) {
+        lines.push(`Has checked in ${streaks.current} days in a row (longest streak: ${streaks.longest} days)`);
+    }
+
+    for (const [dimension, summary] of Object.entries(dimensions)) {
+        if (summary.daysRated < MIN_DAYS_FOR_TREND) continue;
+        const label = dimensionLabel(dimension);
+        if (summary.direction !== 'steady') {
+            lines.push(`${label} has been ${summary.direction} (average ${formatRating(summary.average)}, now ${formatRating(summary.latest)})`);
+        } else if (summary.average <= LOW_AVERAGE) {
+            lines.push(`${label} has been consistently low (average ${formatRating(summary.average)})`);
+        } else if (isStrength(summary.average)) {
+            lines.push(`${label} has been a consistent strength (average ${formatRating(summary.average)})`);
+        }
+        if (summary.volatility.standardDeviation >= 1.25) {
+            lines.push(`${label} swings a lot from day to day`);
+        }
+    }
+
+    for (const pair of trends.coMovement.slice(0, 3)) {
+        const [a, b] = pair.dimensions.map(dimensionLabel);
+        lines.push(pair.relationship === 'together' ?
+            `${a} and ${b} tend to rise and fall together` :
+            `When ${a} goes up, ${b} tends to go down`);
+    }
+
+    return lines;
+}
+
+module.exports = {
+    buildTrends,
+    getTrends,
+    describePatterns
+};
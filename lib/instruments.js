@@ -0,0 +1,277 @@
+// lib/instruments.js - VYBIN assessment instruments
+//
+// What a check-in asks is configuration, not code. data/instruments/default.json
+// defines the rating scale, the concern/strength thresholds and the
+// dimensions (label, icon, how prompts name it, the tooltip text). A program
+// points VYBIN_INSTRUMENTS at its own JSON file; every top-level key it sets
+// replaces the default's. Validated screeners (PHQ-2, GAD-2 in
+// data/instruments/screeners/) are off unless "screeners" lists their ids; a
+// program can also define its own screener inline in that list.
+//
+// Text the user reads (scale labels, dimension labels and tooltips, screener
+// questions and results) can be translated per locale under "translations";
+// prompts keep using the English promptName. Validated screeners should only
+// carry a published translation of the instrument, word for word.
+//
+// The config is checked once at startup and a bad file stops the server,
+// the same way an invalid bundled resource does.
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, LOCALE_CODES, localize } = require('./i18n');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'instruments');
+
+const ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const MAX_SCALE_POINTS = 11; // 0-10 is the widest scale the rating grid can show
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function isText(value, maxLength) {
+    return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+// Each translation must be for a known locale other than English; check(translated)
+// returns an error message for its fields or null
+function validateTranslations(translations, check) {
+    if (translations === undefined) return null;
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) return 'translations must be an object keyed by locale';
+    for (const [locale, translated] of Object.entries(translations)) {
+        if (!LOCALE_CODES.includes(locale) || locale === DEFAULT_LOCALE) {
+            return `translations can be for ${LOCALE_CODES.filter(l => l !== DEFAULT_LOCALE).join(', ')}`;
+        }
+        const error = translated && typeof translated === 'object' ? check(translated) : 'must be an object';
+        if (error) return `translations.${locale}: ${error}`;
+    }
+    return null;
+}
+
+// Returns an error message, or null when the dimension is usable
+function validateDimension(dimension) {
+    if (!ID_PATTERN.test(dimension.id || '')) return 'id must be lowercase letters, numbers, dashes or underscores';
+    if (!isText(dimension.label, 40)) return 'label is required (max 40 characters)';
+    if (dimension.icon !== undefined && !isText(dimension.icon, 8)) return 'icon must be a short emoji';
+    if (dimension.promptName !== undefined && !isText(dimension.promptName, 60)) return 'promptName must be text (max 60 characters)';
+    if (dimension.description !== undefined && !isText(dimension.description, 500)) return 'description must be text (max 500 characters)';
+    return validateTranslations(dimension.translations, translated => {
+        if (translated.label !== undefined && !isText(translated.label, 40)) return 'label must be text (max 40 characters)';
+        if (translated.description !== undefined && !isText(translated.description, 500)) return 'description must be text (max 500 characters)';
+        return null;
+    });
+}
+
+function validateScreener(screener) {
+    if (!ID_PATTERN.test(screener.id || '')) return 'id must be lowercase letters, numbers, dashes or underscores';
+    if (!isText(screener.name, 40)) return 'name is required (max 40 characters)';
+    if (!isText(screener.prompt, 300)) return 'prompt is required (max 300 characters)';
+    if (!Number.isInteger(screener.frequencyDays) || screener.frequencyDays < 1) return 'frequencyDays must be a whole number of days';
+
+    const { options, items, bands } = screener;
+    if (!Array.isArray(options) || options.length < 2) return 'needs at least two options';
+    if (options.some(o => !Number.isInteger(o.value) || !isText(o.label, 60))) return 'every option needs a whole-number value and a label';
+    if (new Set(options.map(o => o.value)).size !== options.length) return 'option values must be unique';
+
+    if (!Array.isArray(items) || items.length === 0) return 'needs at least one item';
+    if (items.some(item => !ID_PATTERN.test(item.id || '') || !isText(item.text, 300))) return 'every item needs an id and text';
+    if (new Set(items.map(item => item.id)).size !== items.length) return 'item ids must be unique';
+
+    // Bands must cover every possible total exactly once
+    const values = options.map(o => o.value);
+    const lowest = Math.min(...values) * items.length;
+    const highest = Math.max(...values) * items.length;
+    if (!Array.isArray(bands) || bands.length === 0) return 'needs at least one scoring band';
+    if (bands.some(b => !ID_PATTERN.test(b.id || '') || !Number.isInteger(b.min) || !Number.isInteger(b.max) || !isText(b.message, 500))) {
+        return 'every band needs an id, whole-number min and max, and a message';
+    }
+    for (let score = lowest; score <= highest; score++) {
+        const matching = bands.filter(b => score >= b.min && score <= b.max).length;
+        if (matching !== 1) return `score ${score} must fall in exactly one band (found ${matching})`;
+    }
+    return validateTranslations(screener.translations, translated => validateScreenerTranslation(screener, translated));
+}
+
+// A translation has title/prompt text plus options keyed by value, items by id
+// and band messages by band id; every option, item and band must be translated
+function validateScreenerTranslation(screener, translated) {
+    if (translated.title !== undefined && !isText(translated.title, 60)) return 'title must be text (max 60 characters)';
+    if (!isText(translated.prompt, 300)) return 'prompt is required (max 300 characters)';
+    const complete = (map, keys, maxLength) => map && typeof map === 'object' && keys.every(key => isText(map[key], maxLength));
+    if (!complete(translated.options, screener.options.map(o => String(o.value)), 60)) return 'options needs a label for every option value';
+    if (!complete(translated.items, screener.items.map(item => item.id), 300)) return 'items needs text for every item id';
+    if (!complete(translated.bands, screener.bands.map(b => b.id), 500)) return 'bands needs a message for every band id';
+    return null;
+}
+
+function readLibraryScreener(id) {
+    const file = path.join(DATA_DIR, 'screeners', `${id}.json`);
+    if (!ID_PATTERN.test(id) || !fs.existsSync(file)) {
+        throw new Error(`Invalid instruments: no screener called "${id}" in data/instruments/screeners`);
+    }
+    return readJson(file);
+}
+
+// Shallow merge: a program's "dimensions" replaces the default list outright
+function loadConfig() {
+    const config = readJson(path.join(DATA_DIR, 'default.json'));
+    const defaultDimensions = config.dimensions.map(d => d.id);
+    const programFile = process.env.VYBIN_INSTRUMENTS;
+    if (programFile) {
+        Object.assign(config, readJson(path.resolve(programFile)));
+    }
+
+    const { scale, thresholds, dimensions } = config;
+    if (!scale || !Number.isInteger(scale.min) || !Number.isInteger(scale.max) || scale.min >= scale.max) {
+        throw new Error('Invalid instruments: scale needs whole-number min and max, min below max');
+    }
+    if (scale.max - scale.min + 1 > MAX_SCALE_POINTS) {
+        throw new Error(`Invalid instruments: scale can have at most ${MAX_SCALE_POINTS} points`);
+    }
+    if ([scale.minLabel, scale.maxLabel].some(label => label !== undefined && !isText(label, 30))) {
+        throw new Error('Invalid instruments: scale minLabel and maxLabel must be short text');
+    }
+    const scaleError = validateTranslations(scale.translations, translated =>
+        [translated.minLabel, translated.maxLabel].some(label => label !== undefined && !isText(label, 30)) ? 'minLabel and maxLabel must be short text' : null);
+    if (scaleError) {
+        throw new Error(`Invalid instruments: scale ${scaleError}`);
+    }
+    const inScale = value => Number.isInteger(value) && value >= scale.min && value <= scale.max;
+    if (!thresholds || !inScale(thresholds.concern) || !inScale(thresholds.strength) || thresholds.concern >= thresholds.strength) {
+        throw new Error('Invalid instruments: thresholds.concern and thresholds.strength must be on the scale, concern below strength');
+    }
+
+    if (!Array.isArray(dimensions) || dimensions.length === 0) {
+        throw new Error('Invalid instruments: at least one dimension is required');
+    }
+    for (const dimension of dimensions) {
+        const error = validateDimension(dimension);
+        if (error) throw new Error(`Invalid instrument dimension ${dimension.id || '(no id)'}: ${error}`);
+    }
+    if (new Set(dimensions.map(d => d.id)).size !== dimensions.length) {
+        throw new Error('Invalid instruments: dimension ids must be unique');
+    }
+
+    // "phq-2" names a screener from the library; an object is a program's own
+    const screeners = (config.screeners || []).map(entry => {
+        const screener = typeof entry === 'string' ? readLibraryScreener(entry) : entry;
+        const error = validateScreener(screener);
+        if (error) throw new Error(`Invalid screener ${screener.id || '(no id)'}: ${error}`);
+        return screener;
+    });
+    if (new Set(screeners.map(s => s.id)).size !== screeners.length) {
+        throw new Error('Invalid instruments: screener ids must be unique');
+    }
+
+    return {
+        scale,
+        thresholds,
+        dimensions: dimensions.map(d => ({
+            id: d.id,
+            label: d.label,
+            icon: d.icon || '•',
+            promptName: d.promptName || d.label.toLowerCase(),
+            description: d.description || '',
+            translations: d.translations
+        })),
+        screeners,
+        defaultDimensions
+    };
+}
+
+const CONFIG = loadConfig();
+
+const SCALE = CONFIG.scale;
+const THRESHOLDS = CONFIG.thresholds;
+const DIMENSIONS = CONFIG.dimensions.map(d => d.id);
+const DEFAULT_DIMENSIONS = CONFIG.defaultDimensions;
+const DIMENSION_LABELS = Object.fromEntries(CONFIG.dimensions.map(d => [d.id, d.label]));
+const DIMENSION_PROMPT_NAMES = Object.fromEntries(CONFIG.dimensions.map(d => [d.id, d.promptName]));
+
+// Ratings at or below the concern threshold are "needs support", at or above strength are strengths
+function isConcern(rating) {
+    return rating <= THRESHOLDS.concern;
+}
+
+function isStrength(rating) {
+    return rating >= THRESHOLDS.strength;
+}
+
+function isValidRating(rating) {
+    return Number.isInteger(rating) && rating >= SCALE.min && rating <= SCALE.max;
+}
+
+// "3/5" - how ratings are written in prompts and reports
+function formatRating(rating) {
+    return `${rating}/${SCALE.max}`;
+}
+
+// Ratings from a check-in made under an earlier config keep their id as the label
+function dimensionLabel(dimension, locale = DEFAULT_LOCALE) {
+    const found = CONFIG.dimensions.find(d => d.id === dimension);
+    return found ? localize(found, locale, ['label']).label : dimension;
+}
+
+function getScreener(id) {
+    return CONFIG.screeners.find(s => s.id === id) || null;
+}
+
+// The screener's questions and results in a locale, same shape as the config
+function localizeScreener(screener, locale) {
+    const translated = screener.translations && screener.translations[locale];
+    const { translations, ...base } = screener;
+    if (!translated) return base;
+
+    return {
+        ...base,
+        title: translated.title || base.title,
+        prompt: translated.prompt,
+        options: base.options.map(o => ({ ...o, label: translated.options[String(o.value)] })),
+        items: base.items.map(item => ({ ...item, text: translated.items[item.id] })),
+        bands: base.bands.map(b => ({ ...b, message: translated.bands[b.id] }))
+    };
+}
+
+function toPublicScreener(screener, locale) {
+    const localized = localizeScreener(screener, locale);
+    return {
+        id: localized.id,
+        name: localized.name,
+        title: localized.title || localized.name,
+        prompt: localized.prompt,
+        citation: localized.citation || null,
+        frequencyDays: localized.frequencyDays,
+        options: localized.options,
+        items: localized.items
+    };
+}
+
+// Everything the frontend needs to render the check-in (GET /api/instruments), in the user's locale
+function getInstruments(locale = DEFAULT_LOCALE) {
+    return {
+        scale: localize(SCALE, locale, ['minLabel', 'maxLabel']),
+        thresholds: THRESHOLDS,
+        dimensions: CONFIG.dimensions.map(dimension => {
+            const { id, label, icon, description } = localize(dimension, locale, ['label', 'description']);
+            return { id, label, icon, description };
+        }),
+        screeners: CONFIG.screeners.map(screener => toPublicScreener(screener, locale))
+    };
+}
+
+module.exports = {
+    SCALE,
+    THRESHOLDS,
+    DIMENSIONS,
+    DEFAULT_DIMENSIONS,
+    DIMENSION_LABELS,
+    DIMENSION_PROMPT_NAMES,
+    isConcern,
+    isStrength,
+    isValidRating,
+    formatRating,
+    dimensionLabel,
+    getScreener,
+    localizeScreener,
+    getInstruments,
+    screeners: CONFIG.screeners
+};
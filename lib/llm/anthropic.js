@@ -0,0 +1,130 @@
+// lib/llm/anthropic.js - Claude Messages API provider
+const { LLMError } = require('./errors');
+
+const API_URL = 'https://api.anthropic.com/v1/messages';
+const API_VERSION = '2023-06-01';
+
+function createAnthropicProvider({ apiKey }) {
+    return {
+        name: 'anthropic',
+
+        async send({ model, maxTokens, system, messages, signal }) {
+            const response = await post({ model, maxTokens, system, messages, signal });
+
+            const data = await response.json();
+            return {
+                text: data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+                usage: data.usage || null,
+                model: data.model || model
+            };
+        },
+
+        // Streams text deltas to onText as Claude generates them
+        async stream({ model, maxTokens, system, messages, signal, onText }) {
+            const response = await post({ model, maxTokens, system, messages, signal, stream: true });
+
+            let text = '';
+            const usage = { input_tokens: 0, output_tokens: 0 };
+            let buffer = '';
+            const decoder = new TextDecoder();
+
+            try {
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const rawEvent = buffer.substring(0, boundary);
+                        buffer = buffer.substring(boundary + 2);
+
+                        const event = parseEvent(rawEvent);
+                        if (!event) continue;
+
+                        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                            text += event.delta.text;
+                            onText(event.delta.text);
+                        } else if (event.type === 'message_start') {
+                            Object.assign(usage, event.message.usage);
+                        } else if (event.type === 'message_delta' && event.usage) {
+                            usage.output_tokens = event.usage.output_tokens;
+                        } else if (event.type === 'error') {
+                            throw new LLMError(`Claude stream error: ${event.error.message}`, {
+                                retryable: event.error.type === 'overloaded_error'
+                            });
+                        }
+                    }
+                }
+            } catch (error) {
+                // The tokens generated so far are billed either way. Output
+                // usage only arrives at the end, so estimate it from the text
+                const partial = { ...usage, output_tokens: Math.max(usage.output_tokens, estimateTokens(text)) };
+                if (error instanceof LLMError) {
+                    error.usage = partial;
+                    throw error;
+                }
+                throw new LLMError(`Claude stream interrupted: ${error.message}`, { retryable: true, usage: partial });
+            }
+
+            return { text, usage, model };
+        }
+    };
+
+    async function post({ model, maxTokens, system, messages, signal, stream = false }) {
+        let response;
+        try {
+            response = await fetch(API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': API_VERSION
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: maxTokens,
+                    ...(system ? { system } : {}),
+                    messages,
+                    ...(stream ? { stream: true } : {})
+                }),
+                signal
+            });
+        } catch (error) {
+            // Network failures and timeouts are worth retrying
+            throw new LLMError(`Claude API request failed: ${error.message}`, { retryable: true });
+        }
+
+        if (!response.ok) {
+            const body = await response.text();
+            throw new LLMError(`Claude API error: ${response.status}`, {
+                status: response.status,
+                retryable: response.status === 429 || response.status >= 500,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+                body
+            });
+        }
+        return response;
+    }
+}
+
+// Rough count for text whose usage the API never reported (about 4 characters a token)
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Server-sent event block -> parsed JSON of its data line
+function parseEvent(rawEvent) {
+    const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+    if (!dataLine) return null;
+    try {
+        return JSON.parse(dataLine.substring(5).trim());
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseRetryAfter(value) {
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+module.exports = { createAnthropicProvider };
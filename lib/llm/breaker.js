@@ -0,0 +1,66 @@
+// lib/llm/breaker.js - circuit breaker for the LLM provider
+//
+// After `threshold` calls in a row fail with a transient error (retries
+// already used up), the breaker opens and calls fail at once for `cooldownMs`
+// instead of waiting on an API that is down. Then one trial call is let
+// through (half-open): success closes the breaker, failure opens it again.
+const log = require('../logger');
+
+function createCircuitBreaker({ name, threshold, cooldownMs }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let trialRunning = false;
+
+    // Whether a call may go ahead now; in half-open only the one trial call may
+    function allowRequest() {
+        if (threshold === 0 || state === 'closed') return true;
+
+        if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+            state = 'half-open';
+            log.info(`🔌 VYBIN: ${name} circuit half-open, trying one call`);
+        }
+        if (state === 'half-open' && !trialRunning) {
+            trialRunning = true;
+            return true;
+        }
+        return false;
+    }
+
+    function recordSuccess() {
+        if (state !== 'closed') {
+            log.info(`🔌 VYBIN: ${name} circuit closed, calls resumed`);
+        }
+        state = 'closed';
+        failures = 0;
+        openedAt = null;
+        trialRunning = false;
+    }
+
+    function recordFailure() {
+        failures++;
+        trialRunning = false;
+        if (state === 'half-open' || (state === 'closed' && threshold > 0 && failures >= threshold)) {
+            state = 'open';
+            openedAt = Date.now();
+            log.warn(`🔌 VYBIN: ${name} circuit open, failing fast for ${cooldownMs / 1000}s`, { failures });
+        }
+    }
+
+    // A call that ended without telling us anything (the client went away)
+    function releaseTrial() {
+        trialRunning = false;
+    }
+
+    function status() {
+        return {
+            state,
+            consecutiveFailures: failures,
+            retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null
+        };
+    }
+
+    return { allowRequest, recordSuccess, recordFailure, releaseTrial, status };
+}
+
+module.exports = { createCircuitBreaker };
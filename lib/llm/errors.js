@@ -0,0 +1,19 @@
+// lib/llm/errors.js - errors raised by LLM providers (and by the circuit
+// breaker, with circuitOpen set, when calls are not being made at all).
+// A stream cut short carries the usage seen so far; aborted is set when the
+// caller cancelled it (the client went away).
+class LLMError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null, body = null, circuitOpen = false, usage = null, aborted = false } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+        this.body = body;
+        this.circuitOpen = circuitOpen;
+        this.usage = usage;
+        this.aborted = aborted;
+    }
+}
+
+module.exports = { LLMError };
@@ -0,0 +1,199 @@
+// lib/llm/index.js - VYBIN LLM provider layer
+//
+// Every AI route calls complete({ route, system, messages }). Model, per-route
+// token budgets, timeout and retries come from env:
+//
+//   LLM_PROVIDER              anthropic | mock (default: anthropic when CLAUDE_API_KEY is set; the
+//                             mock is only used when named here, and never in production)
+//   LLM_MODEL                 default claude-sonnet-4-20250514
+//   LLM_MAX_TOKENS_<ROUTE>    e.g. LLM_MAX_TOKENS_WELLNESS_RESPONSE=1200
+//   LLM_TIMEOUT_MS            per attempt, default 30000
+//   LLM_MAX_RETRIES           default 2
+//   LLM_RETRY_BASE_MS         first backoff delay, doubled each retry, default 500
+//   LLM_BREAKER_THRESHOLD     failed calls in a row before the circuit opens, default 5 (0 = never)
+//   LLM_BREAKER_COOLDOWN_MS   how long an open circuit fails fast, default 30000
+//   LLM_MOCK_STREAM_DELAY_MS  mock provider only: pause between streamed words
+//   LLM_MOCK_FAIL_STATUS      mock provider only: fail every call with this HTTP status (e.g. 503)
+//
+// Callers get an LLMError when a call fails for good, including at once while
+// the circuit is open (error.circuitOpen) or no usable provider is configured;
+// AI routes answer those with a basic
+// reply from lib/fallback.js. When the caller's signal aborts the call the
+// error has aborted set and the usage generated before the abort, to be metered.
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { createCircuitBreaker } = require('./breaker');
+const { LLMError } = require('./errors');
+const log = require('../logger');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const DEFAULT_TOKEN_BUDGETS = {
+    'preliminary-insights': 400, // Shorter response for preliminary
+    'wellness-response': 1000,
+    'continue-conversation': 800,
+    'search-resources': 1000,
+    'weekly-digest': 600
+};
+const FALLBACK_TOKEN_BUDGET = 800;
+
+let provider = null;
+
+function envNumber(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const breaker = createCircuitBreaker({
+    name: 'LLM',
+    threshold: envNumber('LLM_BREAKER_THRESHOLD', 5),
+    cooldownMs: envNumber('LLM_BREAKER_COOLDOWN_MS', 30000)
+});
+
+function getConfig() {
+    return {
+        model: process.env.LLM_MODEL || DEFAULT_MODEL,
+        timeoutMs: envNumber('LLM_TIMEOUT_MS', 30000),
+        maxRetries: envNumber('LLM_MAX_RETRIES', 2),
+        retryBaseMs: envNumber('LLM_RETRY_BASE_MS', 500)
+    };
+}
+
+function getTokenBudget(route) {
+    const envName = `LLM_MAX_TOKENS_${route.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return envNumber(envName, DEFAULT_TOKEN_BUDGETS[route] || FALLBACK_TOKEN_BUDGET);
+}
+
+function providerName() {
+    return process.env.LLM_PROVIDER || (process.env.CLAUDE_API_KEY ? 'anthropic' : null);
+}
+
+// Why no call can be made with the current config, or null when one can.
+// Canned mock replies must never pass for real ones, so the mock is never
+// picked without being asked for and is refused in production.
+function providerProblem() {
+    const name = providerName();
+    if (!name) return 'No LLM provider configured: set CLAUDE_API_KEY (or LLM_PROVIDER=mock outside production)';
+    if (name === 'anthropic' && !process.env.CLAUDE_API_KEY) return 'LLM_PROVIDER=anthropic needs CLAUDE_API_KEY';
+    if (name === 'mock' && process.env.NODE_ENV === 'production') return 'The mock LLM provider is disabled in production';
+    return null;
+}
+
+function getProvider() {
+    if (provider) return provider;
+
+    const problem = providerProblem();
+    if (problem) throw new LLMError(problem, { status: 503 });
+
+    const name = providerName();
+    if (name === 'anthropic') {
+        provider = createAnthropicProvider({ apiKey: process.env.CLAUDE_API_KEY });
+    } else if (name === 'mock') {
+        provider = createMockProvider();
+    } else {
+        throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+    }
+
+    log.info(`🤖 VYBIN: Using ${provider.name} LLM provider`, { model: getConfig().model });
+    return provider;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// The timeout covers the whole attempt; a caller's signal (client went away) also aborts it
+async function callWithTimeout(method, request, timeoutMs) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const abortFromCaller = () => controller.abort();
+    if (request.signal) {
+        if (request.signal.aborted) controller.abort();
+        request.signal.addEventListener('abort', abortFromCaller);
+    }
+    try {
+        return await getProvider()[method]({ ...request, signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+        if (request.signal) request.signal.removeEventListener('abort', abortFromCaller);
+    }
+}
+
+// Send one completion request, retrying transient failures with exponential backoff
+async function complete({ route, system, messages, maxTokens, signal }) {
+    return callWithRetries('send', { route, system, messages, maxTokens, signal });
+}
+
+// Like complete(), but text is passed to onText as it is generated. Once any
+// text has reached the caller a failure is not retried (it would repeat output).
+async function stream({ route, system, messages, maxTokens, signal, onText }) {
+    let emitted = false;
+    return callWithRetries('stream', {
+        route,
+        system,
+        messages,
+        maxTokens,
+        signal,
+        onText(chunk) {
+            emitted = true;
+            onText(chunk);
+        }
+    }, () => !emitted);
+}
+
+async function callWithRetries(method, { route, system, messages, maxTokens, signal, onText }, canRetry = () => true) {
+    const config = getConfig();
+    const request = {
+        route,
+        model: config.model,
+        maxTokens: maxTokens || getTokenBudget(route),
+        system,
+        messages,
+        signal,
+        onText
+    };
+
+    if (!breaker.allowRequest()) {
+        log.warn('🔌 VYBIN: LLM call skipped, circuit open', { route });
+        throw new LLMError('LLM calls paused after repeated failures', { status: 503, circuitOpen: true });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await callWithTimeout(method, request, config.timeoutMs);
+            breaker.recordSuccess();
+            return { ...result, provider: getProvider().name };
+        } catch (error) {
+            // The caller went away: nothing to retry, and not the API's fault
+            if (signal && signal.aborted) {
+                breaker.releaseTrial();
+                log.debug('🔌 VYBIN: LLM call aborted by the caller', { route, usage: error.usage || null });
+                throw new LLMError(`LLM call aborted: ${error.message}`, { aborted: true, usage: error.usage || null });
+            }
+
+            const retryable = error instanceof LLMError && error.retryable && canRetry();
+            if (!retryable || attempt >= config.maxRetries) {
+                // Only transient failures say the API is down; a request the
+                // API rejected does not
+                if (error instanceof LLMError && error.retryable) {
+                    breaker.recordFailure();
+                } else {
+                    breaker.releaseTrial();
+                }
+                log.error('💥 VYBIN: LLM call failed', { route, error });
+                throw error;
+            }
+
+            const delay = error.retryAfterMs || config.retryBaseMs * Math.pow(2, attempt);
+            log.warn(`🔁 VYBIN: Retrying ${route} in ${delay}ms`, { attempt: attempt + 2, maxAttempts: config.maxRetries + 1 });
+            await sleep(delay);
+        }
+    }
+}
+
+// For diagnostics: closed, open or half-open
+function getBreakerStatus() {
+    return breaker.status();
+}
+
+module.exports = { complete, stream, getTokenBudget, getBreakerStatus, providerName, providerProblem, LLMError };
@@ -0,0 +1,140 @@
+// lib/llm/mock.js - deterministic offline provider
+//
+// Returns canned wellness and resource replies so the app runs with no network
+// or API key (LLM_PROVIDER=mock). The same input always gives the same output.
+// When the prompt's LANGUAGE line asks for Spanish the replies are in Spanish.
+const crypto = require('crypto');
+const { LLMError } = require('./errors');
+
+const CANNED = {
+    'preliminary-insights': [
+        "Thank you for checking in today. I can see some of your ratings are lower than others, and some areas are holding steady - that mix is really common. I'd love to hear a bit more about what's going on for you.",
+        "I appreciate you taking a moment to check in. Your ratings show a few places that feel harder right now, alongside some real strengths. I'm curious to learn more about your day."
+    ],
+    'wellness-response': [
+        "Thank you for sharing that with me. It makes sense that things feel heavy when several areas of life are asking for attention at once. One small step that often helps is choosing just one thing to focus on today - something manageable, like a short walk, a glass of water, or reaching out to one person you trust.\n\nYou don't have to solve everything at once. Noticing how you feel, like you did today, is already a meaningful step. If it would help, tell me more about what feels most pressing and we can think it through together.",
+        "I hear you, and I'm glad you took the time to put this into words. When things are stacking up, it can help to separate what you can act on this week from what you simply need to get through. Picking one practical step - even a small one - can create a little momentum.\n\nAlso remember to lean on the areas that feel steadier right now. They can be a source of energy while you work through the harder parts."
+    ],
+    'continue-conversation': [
+        "That's a really good question. Based on what you've shared, a good place to start might be breaking it into smaller pieces and picking the one that feels most doable today. Would it help to talk through what that first step could look like?",
+        "It sounds like you're already thinking carefully about this. One approach is to write down the two or three things weighing on you most, then choose one you can make a little progress on this week. Small wins add up."
+    ],
+    'weekly-digest': [
+        "Looking back over your week, a couple of areas moved more than the rest, while others held fairly steady - that steadiness is worth noticing too. The notes you added help show what was behind some of those days.\n\nAs the new week starts, you might think about one small thing that helped last week and whether there's room for a little more of it."
+    ],
+    // Describes whichever directory entries the route asked about
+    'search-resources': [
+        prompt => JSON.stringify(
+            [...prompt.matchAll(/"id": "([^"]+)"/g)].map(([, id]) => ({
+                id,
+                description: 'Based on what you shared, this could be a good place to start - they can point you to help that fits your situation.'
+            })),
+            null,
+            2
+        )
+    ]
+};
+
+const CANNED_ES = {
+    'preliminary-insights': [
+        'Gracias por hacer tu registro de hoy. Veo que algunas de tus calificaciones están más bajas que otras, y que algunas áreas se mantienen estables - esa mezcla es muy común. Me gustaría saber un poco más sobre lo que está pasando en tu vida.',
+        'Te agradezco que te tomes un momento para registrarte. Tus calificaciones muestran algunos aspectos que se sienten más difíciles ahora, junto con fortalezas reales. Me da curiosidad saber más sobre tu día.'
+    ],
+    'wellness-response': [
+        'Gracias por compartir esto conmigo. Tiene sentido que todo se sienta pesado cuando varias áreas de tu vida piden atención al mismo tiempo. Un pequeño paso sería elegir una sola cosa para enfocarte hoy - algo manejable, como una caminata corta, un vaso de agua o escribirle a una persona de confianza.\n\nNo tienes que resolverlo todo de una vez. Darte cuenta de cómo te sientes, como lo hiciste hoy, ya es un paso importante. Si te ayuda, cuéntame qué es lo que más te preocupa y lo pensamos juntos.',
+        'Te escucho, y me alegra que te hayas tomado el tiempo de ponerlo en palabras. Cuando las cosas se acumulan, puede ayudar separar lo que puedes hacer esta semana de lo que simplemente necesitas sobrellevar. Podrías intentar un paso práctico - aunque sea pequeño - para ganar un poco de impulso.\n\nRecuerda también apoyarte en las áreas que se sienten más estables ahora. Pueden darte energía mientras trabajas en las partes más difíciles.'
+    ],
+    'continue-conversation': [
+        'Es una muy buena pregunta. Por lo que me has contado, un buen punto de partida podría ser dividirlo en partes más pequeñas y elegir la que se sienta más posible hoy. ¿Te ayudaría hablar de cómo podría ser ese primer paso?',
+        'Parece que ya lo estás pensando con cuidado. Una opción es escribir las dos o tres cosas que más te pesan y elegir una en la que puedas avanzar un poco esta semana. Los pequeños logros se van sumando.'
+    ],
+    'weekly-digest': [
+        'Al mirar tu semana, un par de áreas cambiaron más que las demás, mientras otras se mantuvieron bastante estables - esa estabilidad también vale la pena notarla. Las notas que agregaste ayudan a ver qué hubo detrás de algunos de esos días.\n\nAl empezar la nueva semana, podrías pensar en una pequeña cosa que te ayudó la semana pasada y si hay espacio para un poco más de ella.'
+    ],
+    'search-resources': [
+        prompt => JSON.stringify(
+            [...prompt.matchAll(/"id": "([^"]+)"/g)].map(([, id]) => ({
+                id,
+                description: 'Por lo que compartiste, este podría ser un buen lugar para empezar - te pueden orientar hacia la ayuda que se ajuste a tu situación.'
+            })),
+            null,
+            2
+        )
+    ]
+};
+
+const SPANISH_REQUESTED = /^LANGUAGE: .*\bSpanish\b/m;
+
+// Delay between streamed words so the mock feels like a live reply
+const STREAM_DELAY_MS = parseInt(process.env.LLM_MOCK_STREAM_DELAY_MS, 10) || 0;
+
+// Fails every call like an API outage would, to exercise retries and the circuit breaker
+const FAIL_STATUS = parseInt(process.env.LLM_MOCK_FAIL_STATUS, 10) || null;
+
+const DEFAULT_REPLY = "Thank you for sharing. I'm here to support you - tell me more about what's on your mind.";
+const DEFAULT_REPLY_ES = 'Gracias por compartir. Estoy aquí para apoyarte - cuéntame más sobre lo que tienes en mente.';
+
+function pick(options, seed) {
+    const digest = crypto.createHash('sha256').update(seed).digest();
+    return options[digest[0] % options.length];
+}
+
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+function createMockProvider() {
+    const provider = {
+        name: 'mock',
+
+        async send({ route, model, system, messages }) {
+            if (FAIL_STATUS) {
+                throw new LLMError(`Mock API error: ${FAIL_STATUS}`, {
+                    status: FAIL_STATUS,
+                    retryable: FAIL_STATUS === 429 || FAIL_STATUS >= 500
+                });
+            }
+            const lastMessage = messages[messages.length - 1];
+            const seed = `${route}:${lastMessage ? lastMessage.content : ''}`;
+            const spanish = SPANISH_REQUESTED.test(system || '');
+            const options = (spanish ? CANNED_ES : CANNED)[route];
+            const reply = options ? pick(options, seed) : spanish ? DEFAULT_REPLY_ES : DEFAULT_REPLY;
+            // Reply functions see the whole prompt; directory entries live in the system prompt
+            const text = typeof reply === 'function' ? reply(`${system || ''}\n${lastMessage ? lastMessage.content : ''}`) : reply;
+
+            const inputText = (system || '') + messages.map(m => m.content).join('');
+            return {
+                text,
+                usage: {
+                    input_tokens: estimateTokens(inputText),
+                    output_tokens: estimateTokens(text)
+                },
+                model: `mock:${model}`
+            };
+        },
+
+        // Fails like the real provider when aborted part way: with the usage so far
+        async stream(request) {
+            const result = await provider.send(request);
+            const words = result.text.match(/\S+\s*/g) || [];
+            let sent = '';
+            for (const word of words) {
+                if (request.signal && request.signal.aborted) {
+                    throw new LLMError('Mock stream interrupted: aborted', {
+                        retryable: true,
+                        usage: { ...result.usage, output_tokens: estimateTokens(sent) }
+                    });
+                }
+                request.onText(word);
+                sent += word;
+                if (STREAM_DELAY_MS) {
+                    await new Promise(resolve => setTimeout(resolve, STREAM_DELAY_MS));
+                }
+            }
+            return result;
+        }
+    };
+    return provider;
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,166 @@
+// lib/location/index.js - VYBIN location subsystem
+//
+// Resource search needs a US state and, when we have it, a county or city.
+// Users give it as a ZIP code or as a state with an optional county/city; both
+// are resolved from bundled data in data/location/ with no network calls.
+// An operator-supplied offline IP database (ip-db.js) can suggest a location,
+// but only a location the user confirmed is saved - one per user.
+const path = require('path');
+const { getCollection } = require('../store');
+const ipDb = require('./ip-db');
+
+const savedLocations = getCollection('user_locations');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data', 'location');
+const STATES = require(path.join(DATA_DIR, 'states.json'));
+const ZIP_PREFIXES = require(path.join(DATA_DIR, 'zip-prefixes.json')).ranges;
+
+const PLACE_NAME = /^\p{L}[\p{L} .'-]{0,59}$/u;
+const COUNTY_SUFFIX = /\b(county|parish|borough|census area|municipality)$/i;
+
+function findState(value) {
+    const text = String(value || '').trim().toLowerCase().replace(/\./g, '');
+    if (!text) return null;
+    return STATES.find(s => s.code.toLowerCase() === text || s.name.toLowerCase() === text) || null;
+}
+
+function stateForZip(zip) {
+    const prefix = zip.slice(0, 3);
+    const range = ZIP_PREFIXES.find(([from, to]) => prefix >= from && prefix <= to);
+    return range ? findState(range[2]) : null;
+}
+
+// "  st. louis " -> "St. Louis"; names typed with capitals are kept as they are
+function cleanPlaceName(value) {
+    const name = String(value || '').trim().replace(/\s+/g, ' ');
+    if (name !== name.toLowerCase()) return name;
+    return name.replace(/(^|[\s.'-])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+}
+
+// "Multnomah" -> "Multnomah County"; Louisiana has parishes, Alaska boroughs
+function countyName(county, state) {
+    return COUNTY_SUFFIX.test(county) ? county : `${county} ${state.countyWord || 'County'}`;
+}
+
+function describe(location) {
+    if (location.city) return `${location.city}, ${location.state}`;
+    if (location.county) return `${location.county}, ${location.state}`;
+    if (location.zip) return `${location.zip}, ${location.stateName}`;
+    return location.stateName;
+}
+
+function buildLocation({ zip = null, state, county, city }) {
+    const location = {
+        zip,
+        state: state.code,
+        stateName: state.name,
+        county: county ? countyName(county, state) : null,
+        city: city || null
+    };
+    return { ...location, label: describe(location) };
+}
+
+// { location } or { error } - a ZIP code wins over a state when both are given
+function resolveLocation({ zip, state, county, city } = {}) {
+    if (zip) {
+        const match = /^(\d{5})(?:-\d{4})?$/.exec(String(zip).trim());
+        if (!match) {
+            return { error: 'ZIP code must be 5 digits' };
+        }
+        const zipState = stateForZip(match[1]);
+        if (!zipState) {
+            return { error: `We don't recognize ZIP code ${match[1]} - try choosing your state instead` };
+        }
+        return { location: buildLocation({ zip: match[1], state: zipState }) };
+    }
+
+    const found = findState(state);
+    if (!found) {
+        return { error: state ? `${state} isn't a US state we recognize` : 'Enter a ZIP code or choose a state' };
+    }
+
+    const place = { county: cleanPlaceName(county), city: cleanPlaceName(city) };
+    for (const [field, value] of Object.entries(place)) {
+        if (value && !PLACE_NAME.test(value)) {
+            return { error: `That doesn't look like a ${field} name` };
+        }
+    }
+    return { location: buildLocation({ state: found, ...place }) };
+}
+
+function toPublicLocation(saved) {
+    return {
+        zip: saved.zip,
+        state: saved.state,
+        stateName: saved.stateName,
+        county: saved.county,
+        city: saved.city,
+        label: saved.label,
+        source: saved.source,
+        confirmedAt: saved.updatedAt || saved.createdAt
+    };
+}
+
+function getSavedLocation(userId) {
+    const saved = savedLocations.findOne(l => l.userId === userId);
+    return saved ? toPublicLocation(saved) : null;
+}
+
+// source is how the user got there: typed it ('manual') or confirmed an IP suggestion ('ip')
+function saveLocation(userId, input, { source = 'manual' } = {}) {
+    const result = resolveLocation(input);
+    if (result.error) return result;
+
+    const fields = { ...result.location, source };
+    const existing = savedLocations.findOne(l => l.userId === userId);
+    const saved = existing
+        ? savedLocations.update(existing.id, fields)
+        : savedLocations.insert({ userId, ...fields });
+    return { location: toPublicLocation(saved) };
+}
+
+function forgetLocation(userId) {
+    return savedLocations.removeWhere(l => l.userId === userId) > 0;
+}
+
+// Anyone can send X-Forwarded-For, so it is only read behind our own proxy
+// (TRUST_PROXY=true, see lib/rate-limit.js): its first address, else the socket
+function clientIp(req) {
+    if (process.env.TRUST_PROXY === 'true') {
+        const forwarded = String(req.headers['x-forwarded-for'] || req.headers['x-real-ip'] || '').split(',')[0].trim();
+        if (forwarded) return forwarded;
+    }
+    return req.socket.remoteAddress || '';
+}
+
+// Suggestion from the offline IP database; null when it is off or has no match
+function suggestLocation(req) {
+    if (!ipDb.isEnabled()) return null;
+
+    const hit = ipDb.lookupIp(clientIp(req));
+    if (!hit) return null;
+
+    const result = resolveLocation({ state: hit.state, city: PLACE_NAME.test(hit.city) ? hit.city : '' });
+    return result.location ? { ...result.location, source: 'ip' } : null;
+}
+
+// Location for a resource search: what the request names if it resolves, else the saved one
+function locationForSearch(userId, { zip, state, county, city } = {}) {
+    if (zip || state) {
+        const result = resolveLocation({ zip, state, county, city });
+        if (result.location) return result.location;
+    }
+    return getSavedLocation(userId);
+}
+
+module.exports = {
+    STATES,
+    resolveLocation,
+    getSavedLocation,
+    saveLocation,
+    forgetLocation,
+    suggestLocation,
+    locationForSearch,
+    clientIp,
+    ipLookupEnabled: ipDb.isEnabled
+};
@@ -0,0 +1,98 @@
+// lib/location/ip-db.js - opt-in offline IP range lookup
+//
+// VYBIN never sends a user's IP address to a third-party geolocation
+// service. Operators who want IP-based suggestions point VYBIN_IP_DB at a
+// local CSV of IPv4 ranges with a header row:
+//
+//   ip_start,ip_end,country,state,city
+//   1.2.3.0,1.2.3.255,US,Oregon,Portland
+//
+// state may be a code or a full name (stateprov, region and subdivision are
+// accepted as column names too, so DB-IP and similar "lite" files work as-is).
+// Other columns are ignored. The file is read once, on the first lookup.
+const fs = require('fs');
+const { parseCsv } = require('../csv');
+const log = require('../logger');
+
+const STATE_COLUMNS = ['state', 'stateprov', 'region', 'subdivision'];
+
+let ranges = null;
+
+function ipToNumber(ip) {
+    const parts = String(ip || '').split('.');
+    if (parts.length !== 4) return null;
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = value * 256 + Number(part);
+    }
+    return value;
+}
+
+function loadRanges() {
+    if (ranges) return ranges;
+    ranges = [];
+
+    const file = process.env.VYBIN_IP_DB;
+    if (!file) return ranges;
+
+    try {
+        const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+        const header = parseCsv(lines[0])[0].map(name => name.trim().toLowerCase());
+        const column = names => header.findIndex(name => names.includes(name));
+        const startCol = column(['ip_start', 'start']);
+        const endCol = column(['ip_end', 'end']);
+        const countryCol = column(['country']);
+        const stateCol = column(STATE_COLUMNS);
+        const cityCol = column(['city']);
+        if (startCol === -1 || endCol === -1 || stateCol === -1) {
+            throw new Error(`needs ip_start, ip_end and state columns (found ${header.join(', ')})`);
+        }
+
+        for (const line of lines.slice(1)) {
+            if (!line.trim()) continue;
+            const fields = parseCsv(line)[0];
+            const country = countryCol === -1 ? 'US' : String(fields[countryCol] || '').trim().toUpperCase();
+            if (country !== 'US') continue;
+
+            const start = ipToNumber(fields[startCol]);
+            const end = ipToNumber(fields[endCol]);
+            if (start === null || end === null) continue; // IPv6 rows
+
+            ranges.push({ start, end, state: fields[stateCol], city: cityCol === -1 ? '' : fields[cityCol] });
+        }
+        ranges.sort((a, b) => a.start - b.start);
+        log.info(`🗺️ VYBIN: Loaded ${ranges.length} US IP ranges for location suggestions`);
+    } catch (error) {
+        log.error('💥 VYBIN: Could not load VYBIN_IP_DB - IP location suggestions are off', error);
+        ranges = [];
+    }
+    return ranges;
+}
+
+function isEnabled() {
+    return loadRanges().length > 0;
+}
+
+// { state, city } as written in the file, or null
+function lookupIp(ip) {
+    const value = ipToNumber(String(ip || '').replace(/^::ffff:/, ''));
+    if (value === null) return null;
+
+    const list = loadRanges();
+    let low = 0;
+    let high = list.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (value < list[mid].start) {
+            high = mid - 1;
+        } else if (value > list[mid].end) {
+            low = mid + 1;
+        } else {
+            return { state: list[mid].state, city: list[mid].city };
+        }
+    }
+    return null;
+}
+
+module.exports = { isEnabled, lookupIp };
@@ -0,0 +1,153 @@
+// lib/logger.js - VYBIN structured logging
+//
+// One line per entry: JSON in production (or LOG_FORMAT=json), a readable
+// line otherwise. LOG_LEVEL sets the minimum level (debug, info, warn, error;
+// default info).
+//
+//   const log = require('./logger');
+//   log.info('✅ VYBIN: Saved checkin', { dateOnly: checkin.dateOnly });
+//
+// Entries logged while handling a request carry its requestId (also sent back
+// as the X-Request-Id header) and the user's id. Fields are redacted before
+// they are written: what users typed never reaches the log, only its length;
+// usernames, credentials and location details are masked; IP and email
+// addresses are masked wherever they appear, including inside messages.
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+// Anything a user wrote, or the AI wrote back to them
+const FREE_TEXT_KEYS = new Set([
+    'context', 'userContext', 'userQuestion', 'question', 'content', 'response',
+    'preliminaryInsights', 'description', 'text', 'notes', 'body'
+]);
+// Set by the logger itself; caller fields with these names are dropped
+const RESERVED_KEYS = new Set(['time', 'level', 'msg', 'requestId']);
+const IDENTITY_KEYS = new Set(['username', 'email', 'password', 'token', 'authorization', 'cookie']);
+const LOCATION_KEYS = new Set([
+    'ip', 'userIP', 'location', 'city', 'region', 'postal', 'zip', 'isp', 'org',
+    'lat', 'lon', 'loc', 'latitude', 'longitude', 'timezone'
+]);
+
+const IPV4_PATTERN = /(?:::ffff:)?\b(?:\d{1,3}\.){3}\d{1,3}\b/gi;
+// Full or ::-compressed IPv6; needs eight groups or a "::" so clock times don't match
+const IPV6_PATTERN = /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|(?:\b[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*)?::(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4})*\b)?/gi;
+const EMAIL_PATTERN = /[^\s@<>"']+@[^\s@<>"']+\.[a-z]{2,}/gi;
+
+const MAX_DEPTH = 4;
+
+const requestContext = new AsyncLocalStorage();
+
+function scrubString(value) {
+    return value
+        .replace(EMAIL_PATTERN, '[email]')
+        .replace(IPV4_PATTERN, '[ip]')
+        .replace(IPV6_PATTERN, '[ip]');
+}
+
+function redactValue(key, value, depth) {
+    if (value === null || value === undefined) return value;
+
+    if (FREE_TEXT_KEYS.has(key) && typeof value === 'string') {
+        return `[redacted ${value.length} chars]`;
+    }
+    if (IDENTITY_KEYS.has(key) || LOCATION_KEYS.has(key)) {
+        return '[redacted]';
+    }
+    return redact(value, depth + 1);
+}
+
+// Safe copy of anything about to be logged
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return scrubString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > MAX_DEPTH) return '[truncated]';
+
+    if (value instanceof Error) {
+        const error = { name: value.name, message: scrubString(String(value.message)) };
+        if (value.code) error.code = value.code;
+        if (value.status) error.status = value.status;
+        if (LOG_LEVEL === 'debug' && value.stack) error.stack = scrubString(value.stack);
+        return error;
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(key, item, depth)]));
+}
+
+function formatPretty(entry) {
+    const { time, level, msg, ...fields } = entry;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra ? ` ${extra}` : ''}`;
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    // A bare Error or value is logged under one field
+    let extra = {};
+    if (fields instanceof Error) {
+        extra = { error: redact(fields) };
+    } else if (fields !== undefined) {
+        extra = redact(fields && typeof fields === 'object' && !Array.isArray(fields) ? fields : { value: fields });
+    }
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: scrubString(String(message))
+    };
+    if (context) {
+        entry.requestId = context.requestId;
+        if (context.req.user) entry.userId = context.req.user.id;
+    }
+    for (const [key, value] of Object.entries(extra)) {
+        if (!RESERVED_KEYS.has(key) && !(key in entry)) entry[key] = value;
+    }
+
+    const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// Client-supplied ids are reused so a request can be traced across services
+function readRequestId(req) {
+    const incoming = req.get('X-Request-Id');
+    return /^[A-Za-z0-9_-]{8,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+}
+
+// First middleware: tags the request with an id and logs it once it finishes
+function requestLogger(req, res, next) {
+    req.id = readRequestId(req);
+    res.set('X-Request-Id', req.id);
+
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const path = req.originalUrl.split('?')[0];
+        const level = res.statusCode >= 500 ? 'error' : path.startsWith('/api/') ? 'info' : 'debug';
+        requestContext.run({ requestId: req.id, req }, () => {
+            write(level, `${req.method} ${path} ${res.statusCode}`, {
+                durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+            });
+        });
+    });
+
+    requestContext.run({ requestId: req.id, req }, next);
+}
+
+module.exports = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    level: LOG_LEVEL,
+    redact,
+    requestLogger
+};
@@ -0,0 +1,86 @@
+// lib/mail/index.js - VYBIN outgoing email
+//
+// Everything VYBIN emails (so far, sharing invitations) goes through
+// sendMail({ to, subject, text }). The transport comes from env:
+//
+//   MAIL_TRANSPORT     console | file | webhook (default: console)
+//   MAIL_FROM          sender address, default "VYBIN <no-reply@vybin.local>"
+//   MAIL_DIR           file transport: where .eml files are written, default ./db/outbox
+//   MAIL_WEBHOOK_URL   webhook transport: receives each message as JSON (most email
+//                      APIs and automation tools can take it from there)
+//   MAIL_WEBHOOK_TOKEN webhook transport: optional, sent as a Bearer token
+//   VYBIN_PUBLIC_URL   where links in emails point, e.g. https://vybin.app;
+//                      required for any transport that really sends mail
+//
+// console and file are stand-ins for development: nothing leaves the machine,
+// but whole messages (live invite links included) end up in stdout or on disk,
+// so they are refused in production and mail fails until a real one is set.
+const { createConsoleTransport, createFileTransport } = require('./stand-ins');
+const { createWebhookTransport } = require('./webhook');
+const log = require('../logger');
+
+const DEFAULT_FROM = 'VYBIN <no-reply@vybin.local>';
+const STAND_INS = ['console', 'file'];
+
+let transport = null;
+
+function transportName() {
+    return process.env.MAIL_TRANSPORT || 'console';
+}
+
+// Why mail can't go out with the current config, or null when it can
+function mailProblem() {
+    if (process.env.NODE_ENV === 'production' && STAND_INS.includes(transportName())) {
+        return `Mail transport "${transportName()}" is a development stand-in - set MAIL_TRANSPORT to a real transport in production`;
+    }
+    return null;
+}
+
+function getTransport() {
+    const problem = mailProblem();
+    if (problem) throw new Error(problem);
+    if (transport) return transport;
+
+    const name = transportName();
+    if (name === 'console') {
+        transport = createConsoleTransport();
+    } else if (name === 'file') {
+        transport = createFileTransport({ dir: process.env.MAIL_DIR });
+    } else if (name === 'webhook') {
+        transport = createWebhookTransport({ url: process.env.MAIL_WEBHOOK_URL, token: process.env.MAIL_WEBHOOK_TOKEN });
+    } else {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    log.info(`📮 VYBIN: Mail transport: ${transport.name}`);
+    return transport;
+}
+
+// Resolves to { id } from the transport; throws when the message could not be handed off
+async function sendMail({ to, subject, text }) {
+    const message = {
+        from: process.env.MAIL_FROM || DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        date: new Date().toUTCString()
+    };
+    const result = await getTransport().send(message);
+    log.info('📮 VYBIN: Mail sent', { transport: transport.name, subject, messageId: result.id });
+    return result;
+}
+
+// Base URL for links in emails. Never a request's Host header, which the
+// client controls; null when mail really goes out and VYBIN_PUBLIC_URL is
+// unset, so callers send nothing rather than a link to who knows where
+function publicBaseUrl() {
+    if (process.env.VYBIN_PUBLIC_URL) {
+        return process.env.VYBIN_PUBLIC_URL.replace(/\/+$/, '');
+    }
+    if (!STAND_INS.includes(transportName())) {
+        log.error('💥 VYBIN: VYBIN_PUBLIC_URL must be set to send email links', { transport: transportName() });
+        return null;
+    }
+    return `http://localhost:${process.env.PORT || 3001}`;
+}
+
+module.exports = { sendMail, transportName, mailProblem, publicBaseUrl };
@@ -0,0 +1,48 @@
+// lib/mail/stand-ins.js - mail transports that never leave the machine
+//
+// console prints each message to stdout (not through the logger, so the
+// invite link stays readable); file writes one .eml per message that any
+// mail client can open.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function toEml(message, id) {
+    return [
+        `Message-ID: <${id}@vybin.local>`,
+        `Date: ${message.date}`,
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        message.text
+    ].join('\r\n');
+}
+
+function createConsoleTransport() {
+    return {
+        name: 'console',
+        async send(message) {
+            const id = crypto.randomUUID();
+            process.stdout.write(`\n----- 📮 VYBIN mail (console transport) -----\n${toEml(message, id)}\n----- end of mail -----\n\n`);
+            return { id };
+        }
+    };
+}
+
+function createFileTransport({ dir = path.join(__dirname, '..', '..', 'db', 'outbox') } = {}) {
+    return {
+        name: 'file',
+        async send(message) {
+            const id = crypto.randomUUID();
+            await fs.promises.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+            await fs.promises.writeFile(file, toEml(message, id), { mode: 0o600 });
+            return { id, file };
+        }
+    };
+}
+
+module.exports = { createConsoleTransport, createFileTransport };
@@ -0,0 +1,35 @@
+// lib/mail/webhook.js - hands each message to an HTTP endpoint as JSON
+//
+// POST MAIL_WEBHOOK_URL  { from, to, subject, text, date }
+// Any 2xx counts as sent; a JSON body with an id is kept as the message id.
+const crypto = require('crypto');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+function createWebhookTransport({ url, token }) {
+    if (!url) {
+        throw new Error('MAIL_TRANSPORT=webhook needs MAIL_WEBHOOK_URL');
+    }
+
+    return {
+        name: 'webhook',
+        async send(message) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify(message),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`Mail webhook answered ${response.status}`);
+            }
+            const body = await response.json().catch(() => ({}));
+            return { id: body.id || crypto.randomUUID() };
+        }
+    };
+}
+
+module.exports = { createWebhookTransport };
@@ -0,0 +1,159 @@
+// lib/openapi.js - builds the OpenAPI 3 document from lib/schemas.js
+const { ROUTES } = require('./schemas');
+const { ERROR_CODES } = require('./errors');
+const pkg = require('../package.json');
+
+// Our validator keywords that are not part of OpenAPI's schema dialect
+function toOpenApiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const { errorMessage, ...rest } = schema;
+    const result = {};
+    for (const [key, value] of Object.entries(rest)) {
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(Object.entries(value).map(([name, s]) => [name, toOpenApiSchema(s)]));
+        } else if (key === 'items') {
+            result.items = toOpenApiSchema(value);
+        } else if (key === 'required' && value.length === 0) {
+            continue;
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+function toParameters(schema, location) {
+    if (!schema) return [];
+    return Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(name),
+        description: property.description,
+        schema: toOpenApiSchema({ ...property, description: undefined })
+    }));
+}
+
+const ERROR_SCHEMA = {
+    type: 'object',
+    required: ['success', 'error', 'code'],
+    properties: {
+        success: { type: 'boolean', enum: [false] },
+        error: { type: 'string', description: 'Human-readable message, safe to show the user' },
+        code: { type: 'string', enum: [...new Set([...Object.values(ERROR_CODES), 'VALIDATION_ERROR', 'INVALID_JSON'])] },
+        details: {
+            type: 'array',
+            description: 'Field-level problems (validation errors only)',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string', example: 'ratings.physical' },
+                    message: { type: 'string', example: 'must be a whole number from 1 to 5' }
+                }
+            }
+        },
+        requiresLogin: { type: 'boolean', description: 'Present on 401' },
+        requiresUpgrade: { type: 'boolean', description: 'Present on 402' },
+        entitlements: { type: 'object', description: 'Present on 402' },
+        retryAfterSeconds: { type: 'integer', description: 'Present on 429' },
+        crisis: { type: 'object', nullable: true, description: 'Crisis resources when safety screening flagged the request' }
+    }
+};
+
+function errorResponse(description) {
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+}
+
+function buildOperation(key, route) {
+    const operation = {
+        tags: [route.tag],
+        summary: route.summary,
+        operationId: key.replace(/[^a-zA-Z0-9]+(.)?/g, (match, chr) => (chr ? chr.toUpperCase() : '')),
+        parameters: [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')],
+        responses: {
+            200: {
+                description: 'Success',
+                content: { 'application/json': { schema: { type: 'object', properties: { success: { type: 'boolean', enum: [true] } } } } }
+            },
+            429: errorResponse('Too many requests (see Retry-After)'),
+            500: errorResponse('Unexpected server error')
+        }
+    };
+
+    if (route.body) {
+        const contentType = route.contentType || 'application/json';
+        operation.requestBody = {
+            required: (route.body.required || []).length > 0 || route.body.type === 'string',
+            content: { [contentType]: { schema: toOpenApiSchema(route.body) } }
+        };
+    }
+    if (route.params || route.query || route.body) {
+        operation.responses[400] = errorResponse('Invalid request (code VALIDATION_ERROR, with details)');
+    }
+    if (route.public) {
+        operation.security = [];
+    } else {
+        operation.responses[401] = errorResponse('Not signed in');
+    }
+    if (route.admin) {
+        operation.responses[403] = errorResponse('Signed-in user is not an admin');
+    }
+    if (route.params) {
+        operation.responses[404] = errorResponse('Not found');
+    }
+    if (route.tag === 'AI') {
+        operation.responses[402] = errorResponse('Plan quota used up (requiresUpgrade)');
+    }
+    return operation;
+}
+
+function buildOpenApiDocument() {
+    const paths = {};
+
+    for (const [key, route] of Object.entries(ROUTES)) {
+        const [method, expressPath] = key.split(' ');
+        const path = expressPath.replace(/:(\w+)/g, '{$1}');
+        const operation = buildOperation(key, route);
+
+        paths[path] = paths[path] || {};
+        paths[path][method.toLowerCase()] = operation;
+
+        if (route.stream) {
+            paths[`${path}/stream`] = {
+                [method.toLowerCase()]: {
+                    ...operation,
+                    operationId: `${operation.operationId}Stream`,
+                    summary: `${route.summary} (streamed)`,
+                    description: 'Server-Sent Events: meta { crisis }, then token { text } per chunk, then done (the JSON response body) or error (the error contract). Errors before the stream opens are plain JSON.',
+                    responses: {
+                        ...operation.responses,
+                        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+                    }
+                }
+            };
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'VYBIN API',
+            version: pkg.version,
+            description: pkg.description
+        },
+        servers: [{ url: '/' }],
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        components: {
+            securitySchemes: {
+                sessionCookie: { type: 'apiKey', in: 'cookie', name: 'vybin_session' },
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            },
+            schemas: { Error: ERROR_SCHEMA }
+        },
+        paths
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,275 @@
+// lib/portability.js - VYBIN check-in history export and import
+//
+// Users take their history to a therapist or peer-support specialist, or keep
+// a backup. Exports come as JSON (the backup format, re-importable), CSV (one
+// column per dimension) or a printable HTML report. Free-text context and the
+// conversation with VYBIN are only included when the user asks for them.
+const { checkRatings, checkDate, importCheckins, loadUserHistory } = require('./checkins');
+const { getThreadForCheckin, importThreads } = require('./conversations');
+const { buildTrends } = require('./insights');
+const { csvField } = require('./csv');
+const { DIMENSIONS, SCALE, dimensionLabel, formatRating } = require('./instruments');
+
+const FORMAT = 'vybin-history';
+const VERSION = 1;
+const MAX_IMPORT_CHECKINS = 5000;
+
+// The JSON backup: chronological check-ins within an inclusive YYYY-MM-DD range
+function checkinsInRange(userId, { from, to } = {}) {
+    const { checkins } = loadUserHistory(userId);
+    return checkins.filter(c => (!from || c.dateOnly >= from) && (!to || c.dateOnly <= to));
+}
+
+// Which check-ins an export covers, for the audit trail
+function exportedCheckinIds(userId, range) {
+    return checkinsInRange(userId, range).map(checkin => checkin.id);
+}
+
+function buildExport(user, { from, to, includeContext = false } = {}) {
+    const inRange = checkinsInRange(user.id, { from, to });
+
+    return {
+        format: FORMAT,
+        version: VERSION,
+        exportedAt: new Date().toISOString(),
+        username: user.username,
+        range: { from: from || null, to: to || null },
+        includeContext,
+        checkins: inRange.map(checkin => {
+            const entry = {
+                date: checkin.date,
+                dateOnly: checkin.dateOnly,
+                ratings: checkin.ratings
+            };
+            if (includeContext) {
+                entry.context = checkin.context || '';
+                const thread = getThreadForCheckin(user.id, checkin.id);
+                if (thread) {
+                    entry.conversation = thread.messages.map(({ role, kind, content, createdAt }) => ({ role, kind, content, createdAt }));
+                }
+            }
+            return entry;
+        })
+    };
+}
+
+function toCsv(data) {
+    const header = ['date', ...DIMENSIONS];
+    if (data.includeContext) header.push('context');
+
+    const rows = data.checkins.map(checkin => {
+        const row = [checkin.date, ...DIMENSIONS.map(d => checkin.ratings[d])];
+        if (data.includeContext) row.push(checkin.context);
+        return row.map(csvField).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function reportChart(points, range) {
+    const width = 600;
+    const height = 90;
+    const pad = 8;
+    const start = Date.parse(range.from);
+    const span = Math.max(Date.parse(range.to) - start, 1);
+
+    const coords = points.map(point => {
+        const x = points.length === 1 ? width / 2 : pad + ((Date.parse(point.date) - start) / span) * (width - 2 * pad);
+        const y = height - pad - ((point.value - SCALE.min) / (SCALE.max - SCALE.min)) * (height - 2 * pad);
+        return { x: x.toFixed(1), y: y.toFixed(1) };
+    });
+
+    return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <line x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}" stroke="#ddd" stroke-dasharray="4 4" />
+        <polyline fill="none" stroke="#5a4fcf" stroke-width="2" points="${coords.map(c => `${c.x},${c.y}`).join(' ')}" />
+        ${coords.map(c => `<circle cx="${c.x}" cy="${c.y}" r="3" fill="#5a4fcf" />`).join('')}
+    </svg>`;
+}
+
+// Printable summary: overview table, one chart per dimension and (optionally)
+// the user's notes and VYBIN's responses for each check-in. "Save as PDF" is the
+// browser's print dialog.
+function toReportHtml(data) {
+    const trends = buildTrends(data.checkins.map(c => ({ ...c, timestamp: Date.parse(c.date) })));
+    const rangeLabel = `${data.range.from || trends.range.from || '-'} to ${data.range.to || trends.range.to || '-'}`;
+
+    const overview = DIMENSIONS
+        .filter(d => trends.dimensions[d])
+        .map(d => {
+            const summary = trends.dimensions[d];
+            return `<tr>
+                <td>${escapeHtml(dimensionLabel(d))}</td>
+                <td>${summary.average}</td>
+                <td>${summary.min} - ${summary.max}</td>
+                <td>${summary.latest}</td>
+                <td>${summary.direction}</td>
+            </tr>`;
+        }).join('');
+
+    const charts = DIMENSIONS
+        .filter(d => trends.series[d].length > 0)
+        .map(d => `<div class="chart"><h3>${escapeHtml(dimensionLabel(d))}</h3>${reportChart(trends.series[d], trends.range)}</div>`)
+        .join('');
+
+    const entries = data.checkins.slice().reverse().map(checkin => {
+        const ratings = DIMENSIONS
+            .filter(d => checkin.ratings[d] !== undefined)
+            .map(d => `${escapeHtml(dimensionLabel(d))} ${formatRating(checkin.ratings[d])}`)
+            .join(' · ');
+        const responses = (checkin.conversation || [])
+            .filter(m => m.role === 'assistant' && m.kind !== 'preliminary')
+            .map(m => `<div class="response">${escapeHtml(m.content).replace(/\n/g, '<br>')}</div>`)
+            .join('');
+        return `<div class="entry">
+            <div class="entry-date">${escapeHtml(new Date(checkin.date).toLocaleString('en-US'))}</div>
+            <div class="entry-ratings">${ratings}</div>
+            ${data.includeContext && checkin.context ? `<div class="note"><strong>My notes:</strong> ${escapeHtml(checkin.context)}</div>` : ''}
+            ${responses}
+        </div>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>VYBIN Wellness Report - ${escapeHtml(data.username)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 800px; margin: 30px auto; padding: 0 20px; }
+        h1 { margin-bottom: 4px; }
+        .subtitle { color: #666; margin-top: 0; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; font-size: 14px; }
+        th, td { border-bottom: 1px solid #eee; padding: 8px; text-align: left; }
+        .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+        .chart { break-inside: avoid; }
+        .chart h3 { font-size: 14px; margin: 0 0 4px 0; }
+        .chart svg { width: 100%; height: 90px; background: #f8f9fa; border-radius: 8px; }
+        .entry { border-top: 1px solid #eee; padding: 12px 0; break-inside: avoid; }
+        .entry-date { font-weight: 600; }
+        .entry-ratings { color: #666; font-size: 13px; margin: 4px 0; }
+        .note { font-size: 14px; margin: 6px 0; }
+        .response { font-size: 14px; background: #f8f9fa; border-left: 3px solid #5a4fcf; padding: 8px 12px; margin: 6px 0; }
+        .print-button { padding: 10px 20px; background: #5a4fcf; color: white; border: none; border-radius: 8px; cursor: pointer; font-size: 14px; }
+        @media print { .print-button { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <button class="print-button" onclick="window.print()">🖨️ Print / Save as PDF</button>
+    <h1>VYBIN™ Wellness Report</h1>
+    <p class="subtitle">${escapeHtml(data.username)} · ${escapeHtml(rangeLabel)} · ${data.checkins.length} check-ins · Longest streak ${trends.streaks.longest} days</p>
+
+    <h2>Overview</h2>
+    <table>
+        <tr><th>Dimension</th><th>Average</th><th>Range</th><th>Latest</th><th>Trend</th></tr>
+        ${overview || '<tr><td colspan="5">No check-ins in this range</td></tr>'}
+    </table>
+
+    <h2>Ratings over time</h2>
+    <div class="charts">${charts}</div>
+
+    <h2>Check-ins</h2>
+    ${entries}
+
+    <p class="subtitle" style="margin-top: 30px; font-size: 12px;">Exported ${escapeHtml(new Date(data.exportedAt).toLocaleString('en-US'))}. Ratings are self-reported on a 1-5 scale.</p>
+</body>
+</html>
+`;
+}
+
+// Check a backup before anything is written; returns { field, message } problems
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ field: 'body', message: 'must be a JSON object' }];
+    }
+    if (data.format !== FORMAT) {
+        return [{ field: 'format', message: `must be "${FORMAT}"` }];
+    }
+    if (data.version !== VERSION) {
+        return [{ field: 'version', message: `${data.version} is not a supported backup version` }];
+    }
+    if (!Array.isArray(data.checkins)) {
+        return [{ field: 'checkins', message: 'must be a list' }];
+    }
+    if (data.checkins.length > MAX_IMPORT_CHECKINS) {
+        return [{ field: 'checkins', message: `must have at most ${MAX_IMPORT_CHECKINS} items` }];
+    }
+
+    const errors = [];
+    data.checkins.forEach((checkin, index) => {
+        const field = `checkins[${index}]`;
+        if (!checkin || typeof checkin !== 'object') {
+            errors.push({ field, message: 'must be an object' });
+            return;
+        }
+        const ratingsError = checkRatings(checkin.ratings);
+        if (ratingsError) errors.push({ field: `${field}.ratings`, message: ratingsError });
+        const dateError = typeof checkin.date === 'string' ? checkDate(checkin.date) : 'date must be a valid ISO date';
+        if (dateError) {
+            errors.push({ field: `${field}.date`, message: dateError.replace(/^date /, '') });
+        }
+        if (checkin.context !== undefined && typeof checkin.context !== 'string') {
+            errors.push({ field: `${field}.context`, message: 'must be text' });
+        }
+        if (checkin.conversation !== undefined) {
+            // Threads open with the check-in (a user turn) and then take turns
+            const valid = Array.isArray(checkin.conversation) && checkin.conversation.every((m, i) =>
+                m && m.role === (i % 2 === 0 ? 'user' : 'assistant') && typeof m.content === 'string');
+            if (!valid) errors.push({ field: `${field}.conversation`, message: 'must be a list of messages alternating user and assistant, starting with user' });
+        }
+    });
+    return errors;
+}
+
+// Merge a backup into the user's history. The whole file is validated before
+// anything is written, and check-ins and threads are each saved in one write.
+// Check-ins already present (same moment in time) are skipped, so importing
+// the same file twice is safe; any the store still refuses are counted as
+// rejected, without their conversation.
+function importBackup(userId, data) {
+    const errors = validateBackup(data);
+    if (errors.length > 0) return { errors };
+
+    const existing = new Set(loadUserHistory(userId).checkins.map(c => c.timestamp));
+    const fresh = data.checkins.filter(entry => {
+        const timestamp = Date.parse(entry.date);
+        if (existing.has(timestamp)) return false;
+        existing.add(timestamp);
+        return true;
+    });
+
+    const results = importCheckins(userId, fresh.map(entry => ({
+        ratings: entry.ratings,
+        context: entry.context || '',
+        date: entry.date
+    })));
+    const threads = [];
+    results.forEach(({ checkin }, index) => {
+        const { conversation } = fresh[index];
+        if (checkin && conversation && conversation.length > 0) {
+            threads.push({ checkin, messages: conversation });
+        }
+    });
+    importThreads(userId, threads);
+
+    const imported = results.filter(r => r.checkin).length;
+    return {
+        imported,
+        skipped: data.checkins.length - fresh.length,
+        rejected: results.length - imported
+    };
+}
+
+module.exports = {
+    buildExport,
+    exportedCheckinIds,
+    toCsv,
+    toReportHtml,
+    importBackup
+};
@@ -0,0 +1,47 @@
+// lib/prompts/index.js - VYBIN prompt module
+//
+// Routes never build prompt strings themselves:
+//
+//   const prompt = renderPrompt('wellness-response', { checkin, userHistory, preliminaryInsights });
+//   const { text } = await complete({ route: 'wellness-response', system: prompt.system, messages: prompt.messages });
+//   const { text: safeText } = checkOutput(text);
+//
+// The newest version of each template is used unless PROMPT_VERSION_<ROUTE>
+// pins another (e.g. PROMPT_VERSION_WELLNESS_RESPONSE=2) for a rollback.
+const { TEMPLATES } = require('./templates');
+const { checkOutput, buildAllowlist, createOutputStream } = require('./output');
+
+function versionsOf(name) {
+    const versions = TEMPLATES[name];
+    if (!versions) {
+        throw new Error(`No prompt template named "${name}"`);
+    }
+    return Object.keys(versions).map(Number).sort((a, b) => a - b);
+}
+
+function activeVersion(name) {
+    const available = versionsOf(name);
+    const envName = `PROMPT_VERSION_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    const pinned = parseInt(process.env[envName], 10);
+    if (process.env[envName] && !available.includes(pinned)) {
+        throw new Error(`${envName}=${process.env[envName]} but ${name} only has versions ${available.join(', ')}`);
+    }
+    return process.env[envName] ? pinned : available[available.length - 1];
+}
+
+// { id: 'wellness-response@v2', version, system, messages }
+function renderPrompt(name, input) {
+    const version = activeVersion(name);
+    const { system, messages } = TEMPLATES[name][version](input);
+    return { id: `${name}@v${version}`, version, system, messages };
+}
+
+function listTemplates() {
+    return Object.keys(TEMPLATES).map(name => ({
+        name,
+        versions: versionsOf(name),
+        active: activeVersion(name)
+    }));
+}
+
+module.exports = { renderPrompt, listTemplates, checkOutput, buildAllowlist, createOutputStream };
@@ -0,0 +1,142 @@
+// lib/prompts/output.js - checks on generated text before it reaches the user
+//
+// The model can be talked into (or simply invent) a "helpline" number or a
+// link. Every URL and phone number in a reply must be one VYBIN already
+// vouches for: a resource directory entry (in any of its languages), a crisis
+// contact in any locale, or a host listed
+// in VYBIN_URL_ALLOWLIST (comma-separated, e.g. "samhsa.gov,nami.org").
+// Anything else is replaced with a visible placeholder.
+const { getDirectory } = require('../resources');
+const { buildCrisisPayload } = require('../safety');
+const { LOCALE_CODES } = require('../i18n');
+
+// Full URLs, www. links and bare domains on common TLDs ("call-now-help.org/chat")
+const URL_PATTERN = /\b(?:https?:\/\/[^\s<>"'()[\]]+|www\.[^\s<>"'()[\]]+|[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|org|net|gov|edu|us|info|io|co|app|help)\b(?:\/[^\s<>"'()[\]]*)?)/gi;
+
+// North American numbers (1-800-555-0199, (555) 123-4567, +1 555.123.4567,
+// or "555-" at the end of a line and "123-4567" on the next) and short codes
+// after call/text/dial ("text HOME to 741741", "call 988"), in English or
+// Spanish ("envía AYUDA al 741741", "llama al 988")
+const PHONE_SEPARATOR = '(?:[.-]\\s?|\\s)?';
+const PHONE_PATTERN = new RegExp(`(?:\\+?1${PHONE_SEPARATOR})?\\(?\\b\\d{3}\\)?${PHONE_SEPARATOR}\\d{3}${PHONE_SEPARATOR}\\d{4}\\b`, 'g');
+const SHORT_CODE_VERBS = 'call|text|dial|phone|llama|llamar|marca|marcar|envía|envia|enviar|textea';
+const SHORT_CODE_PATTERN = new RegExp(`\\b(${SHORT_CODE_VERBS})(\\s+(?:[A-Z]{2,10}\\s+(?:to|al)\\s+|al\\s+)?)(\\d{3,6})\\b`, 'gi');
+
+function hostOf(url) {
+    try {
+        return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+function digitsOf(value) {
+    return String(value || '').replace(/\D/g, '').replace(/^1(?=\d{10}$)/, '');
+}
+
+// Built per call so admin directory imports apply immediately
+function buildAllowlist() {
+    const hosts = new Set();
+    const numbers = new Set();
+
+    const crisisContacts = LOCALE_CODES.flatMap(locale => buildCrisisPayload('high', locale).contacts);
+    const translated = getDirectory().flatMap(entry => Object.values(entry.translations || {}));
+    for (const entry of [...getDirectory(), ...translated, ...crisisContacts]) {
+        if (entry.url) hosts.add(hostOf(entry.url));
+        for (const value of [entry.phone, entry.text, entry.sms]) {
+            // "988 (press 1)" and "Text HOME to 741741" both hold one number
+            const match = String(value || '').match(/[\d(+][\d().\s-]*\d/);
+            if (match && digitsOf(match[0]).length >= 3) numbers.add(digitsOf(match[0]));
+        }
+    }
+
+    for (const host of String(process.env.VYBIN_URL_ALLOWLIST || '').split(',')) {
+        if (host.trim()) hosts.add(host.trim().toLowerCase().replace(/^www\./, ''));
+    }
+
+    hosts.delete(null);
+    return { hosts, numbers };
+}
+
+function isAllowedHost(host, hosts) {
+    if (!host) return false;
+    for (const allowed of hosts) {
+        if (host === allowed || host.endsWith(`.${allowed}`)) return true;
+    }
+    return false;
+}
+
+// Returns the cleaned text and what was removed (for logging)
+function checkOutput(text, { allowUrls = true, allowlist = buildAllowlist() } = {}) {
+    const removed = [];
+
+    let checked = String(text || '').replace(URL_PATTERN, url => {
+        const trimmed = url.replace(/[.,;:!?]+$/, '');
+        const trailing = url.slice(trimmed.length);
+        if (allowUrls && isAllowedHost(hostOf(trimmed), allowlist.hosts)) return url;
+        removed.push({ type: 'url', value: trimmed });
+        return `[link removed]${trailing}`;
+    });
+
+    checked = checked.replace(PHONE_PATTERN, number => {
+        if (allowlist.numbers.has(digitsOf(number))) return number;
+        removed.push({ type: 'phone', value: number });
+        return '[number removed]';
+    });
+
+    checked = checked.replace(SHORT_CODE_PATTERN, (match, verb, between, number) => {
+        if (allowlist.numbers.has(number)) return match;
+        removed.push({ type: 'phone', value: number });
+        return `${verb}${between}[number removed]`;
+    });
+
+    return { text: checked, removed };
+}
+
+// Where streamed text can be released: after sentence punctuation followed by
+// whitespace, or a newline. No URL, phone number or short code above can span
+// sentence punctuation, but numbers and short codes may run across a newline
+// ("555-\n123-4567", "call\n988")
+const SENTENCE_END = /[.!?](?=\s)|\n/g;
+
+// A line ending like this may continue on the next one: part of a phone
+// number, or a short-code verb ("text HOME to") still waiting for its number
+const NUMBER_LEAD_IN = new RegExp(`(?:[\\d()+.-]|\\b(?:${SHORT_CODE_VERBS})(?:\\s+[A-Z]{2,10})?(?:\\s+(?:to|al))?)\\s*$`, 'i');
+
+// Released text ends at a sentence end, or at a newline the line before it
+// doesn't run across; checking it piece by piece then removes what checking
+// the whole reply would
+function canReleaseAt(text, match) {
+    return match[0] !== '\n' || !NUMBER_LEAD_IN.test(text.slice(0, match.index));
+}
+
+// For streamed replies: push(chunk) as text arrives, and onChecked gets it a
+// sentence at a time after checkOutput; flush() releases the rest at the end
+function createOutputStream(onChecked) {
+    const allowlist = buildAllowlist();
+    let pending = '';
+
+    function release(text) {
+        if (text) onChecked(checkOutput(text, { allowlist }).text);
+    }
+
+    return {
+        push(chunk) {
+            pending += chunk;
+            let end = 0;
+            for (const match of pending.matchAll(SENTENCE_END)) {
+                if (canReleaseAt(pending, match)) end = match.index + match[0].length;
+            }
+            if (end > 0) {
+                release(pending.slice(0, end));
+                pending = pending.slice(end);
+            }
+        },
+        flush() {
+            release(pending);
+            pending = '';
+        }
+    };
+}
+
+module.exports = { buildAllowlist, checkOutput, createOutputStream };
@@ -0,0 +1,123 @@
+// lib/prompts/self-check.js - runs the adversarial cases in adversarial.json
+//
+// A template case passes when the attack never reaches the system prompt,
+// every section tag appears exactly once (the attack couldn't close its own
+// section or open another) and the marker sits inside the expected section.
+// An output case passes when the output check removes every invented link or
+// number and keeps the verified ones.
+const { renderPrompt, checkOutput } = require('./index');
+const { SECTION_TAGS } = require('./delimit');
+const cases = require('./adversarial.json');
+
+const MARKER = 'INJECTION-MARKER';
+
+// Neutral input for each template; the case overrides one field with its attack
+function baseInput(template) {
+    const checkin = {
+        id: 'self-check',
+        dateOnly: '2026-01-01',
+        ratings: { emotional: 2, social: 4 },
+        context: 'Work has been stressful this week.'
+    };
+
+    switch (template) {
+        case 'wellness-response':
+            return {
+                checkin,
+                userHistory: { checkins: [], patterns: [] },
+                preliminaryInsights: 'Thanks for checking in.',
+                goals: [{ dimension: 'Physical', title: 'Sleep more', tasks: [{ text: 'Phone away by 10pm', status: 'open', lastOutcome: 'partly' }] }]
+            };
+        case 'search-resources':
+            return { locationString: 'Portland, OR', userContext: 'Lost my job', dimensions: ['financial'], situations: ['Job loss'], matches: [] };
+        case 'continue-conversation':
+            return { checkin, conversationNumber: 1, conversationLimit: 2, history: [], question: 'What should I do first?' };
+        case 'weekly-digest':
+            return {
+                weekStart: '2025-12-29',
+                weekEnd: '2026-01-04',
+                checkinCount: 4,
+                dimensions: [{ dimension: 'emotional', label: 'Emotional', average: 2.5, previousAverage: 3.5, change: -1, direction: 'down' }],
+                patterns: [],
+                notes: '2026-01-01: Work has been stressful this week.'
+            };
+        default:
+            return { ratings: checkin.ratings, userHistory: {} };
+    }
+}
+
+function withAttack(template, field, attack) {
+    const input = baseInput(template);
+    if (field === 'context') {
+        input.checkin = { ...input.checkin, context: attack };
+    } else if (field === 'goalTitle') {
+        input.goals = [{ ...input.goals[0], title: attack }];
+    } else if (field === 'assistantTurn') {
+        input.history = [{ role: 'user', content: 'My check-in today' }, { role: 'assistant', content: attack }];
+    } else {
+        input[field] = attack;
+    }
+    return input;
+}
+
+function checkTemplateCase(testCase) {
+    const problems = [];
+    const prompt = renderPrompt(testCase.template, withAttack(testCase.template, testCase.field, testCase.attack));
+    // Every turn counts: a history turn written by the user can carry the attack too
+    const userText = prompt.messages.map(m => m.content).join('\n');
+
+    if (prompt.system.includes(MARKER)) {
+        problems.push('attack text reached the system prompt');
+    }
+    if (!userText.includes(MARKER)) {
+        problems.push('attack text is missing from the messages');
+    }
+
+    for (const tag of SECTION_TAGS) {
+        const opens = userText.split(`<${tag}>`).length - 1;
+        const closes = userText.split(`</${tag}>`).length - 1;
+        if (opens > 1 || closes > 1 || opens !== closes) {
+            problems.push(`<${tag}> appears ${opens} times and </${tag}> ${closes} times`);
+        }
+    }
+
+    if (testCase.section) {
+        const match = userText.match(new RegExp(`<${testCase.section}>([\\s\\S]*?)</${testCase.section}>`));
+        if (!match || !match[1].includes(MARKER)) {
+            problems.push(`attack text is not inside <${testCase.section}>`);
+        }
+    }
+    if (/<\/?(system|assistant|instructions)>/i.test(userText)) {
+        problems.push('a role or instructions tag survived');
+    }
+
+    return { id: testCase.id, kind: 'template', template: prompt.id, passed: problems.length === 0, problems };
+}
+
+function checkOutputCase(testCase) {
+    const problems = [];
+    const { text, removed } = checkOutput(testCase.text);
+
+    for (const value of testCase.mustRemove || []) {
+        if (text.includes(value)) problems.push(`"${value}" was not removed`);
+    }
+    for (const value of testCase.mustKeep || []) {
+        if (!text.includes(value)) problems.push(`verified "${value}" was removed`);
+    }
+
+    return { id: testCase.id, kind: 'output', passed: problems.length === 0, problems, output: text, removed };
+}
+
+function runSelfCheck() {
+    const results = [
+        ...cases.templates.map(checkTemplateCase),
+        ...cases.outputs.map(checkOutputCase)
+    ];
+    return {
+        passed: results.filter(r => r.passed).length,
+        failed: results.filter(r => !r.passed).length,
+        results
+    };
+}
+
+module.exports = { runSelfCheck };
@@ -0,0 +1,84 @@
+// lib/push/encryption.js - Web Push message encryption (RFC 8291, aes128gcm)
+//
+// Push services only ever see ciphertext: each message is encrypted to the
+// browser's p256dh key and auth secret from its PushSubscription. decrypt()
+// is the browser's side and is used by the local push service stand-in.
+const crypto = require('crypto');
+
+const RECORD_SIZE = 4096;
+const PADDING_DELIMITER = 0x02; // Marks the last (and only) record
+
+function fromBase64Url(value) {
+    return Buffer.from(value, 'base64url');
+}
+
+function hkdf(salt, ikm, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+// Content key and nonce shared by both sides, from the ECDH secret and auth secret
+function deriveKeys({ sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt }) {
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userAgentPublicKey, serverPublicKey]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+    return {
+        contentKey: hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+        nonce: hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12)
+    };
+}
+
+// payload: string or Buffer; keys: { p256dh, auth } as base64url, straight from the subscription
+function encrypt(payload, keys) {
+    const userAgentPublicKey = fromBase64Url(keys.p256dh);
+    const authSecret = fromBase64Url(keys.auth);
+
+    const serverKeys = crypto.createECDH('prime256v1');
+    const serverPublicKey = serverKeys.generateKeys();
+    const sharedSecret = serverKeys.computeSecret(userAgentPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const { contentKey, nonce } = deriveKeys({ sharedSecret, authSecret, userAgentPublicKey, serverPublicKey, salt });
+
+    const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([PADDING_DELIMITER])]);
+    if (plaintext.length + 16 > RECORD_SIZE) {
+        throw new Error('Push payload is too large');
+    }
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    // Header: salt | record size | key id length | key id (our ephemeral public key)
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// body: the encrypted request body; ecdh: the subscriber's ECDH key pair
+function decrypt(body, ecdh, authSecret) {
+    const salt = body.subarray(0, 16);
+    const keyIdLength = body.readUInt8(20);
+    const serverPublicKey = body.subarray(21, 21 + keyIdLength);
+    const ciphertext = body.subarray(21 + keyIdLength);
+
+    const { contentKey, nonce } = deriveKeys({
+        sharedSecret: ecdh.computeSecret(serverPublicKey),
+        authSecret,
+        userAgentPublicKey: ecdh.getPublicKey(),
+        serverPublicKey,
+        salt
+    });
+
+    const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+    decipher.setAuthTag(ciphertext.subarray(-16));
+    const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+    const end = plaintext.lastIndexOf(PADDING_DELIMITER);
+    if (end === -1) {
+        throw new Error('Push message has no padding delimiter');
+    }
+    return plaintext.subarray(0, end).toString('utf8');
+}
+
+module.exports = { encrypt, decrypt };
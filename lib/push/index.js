@@ -0,0 +1,130 @@
+// lib/push/index.js - VYBIN web push delivery
+//
+// Browsers hand us a PushSubscription (endpoint + p256dh/auth keys) from the
+// service worker. We encrypt each message to those keys, sign the request with
+// our VAPID key and POST it to the endpoint; the push service wakes the
+// service worker, which shows the notification (public/sw.js).
+const { getCollection } = require('../store');
+const { encrypt } = require('./encryption');
+const { getVapidKeys, createAuthorization } = require('./vapid');
+const log = require('../logger');
+
+const PUSH_TIMEOUT_MS = 10000;
+const DEFAULT_TTL_SECONDS = 12 * 60 * 60; // A reminder is stale by the next day
+
+// Browsers only hand out https endpoints on these push services; anything else
+// (plain http, internal or metadata addresses) is refused so a subscription
+// can't make the server POST wherever it is told. A leading dot allows subdomains
+const PUSH_SERVICE_HOSTS = [
+    'fcm.googleapis.com',                 // Chrome and other Chromium browsers
+    'updates.push.services.mozilla.com',  // Firefox
+    '.notify.windows.com',                // Edge on Windows
+    '.push.apple.com'                     // Safari
+];
+// The local stand-in (server.js) is this app itself, over http
+const STAND_IN_ENABLED = process.env.PUSH_STAND_IN === 'true' && process.env.NODE_ENV !== 'production';
+const STAND_IN_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Request-level check for the subscription schema; isPushServiceEndpoint does the rest
+const ENDPOINT_PATTERN = STAND_IN_ENABLED ? '^https?://' : '^https://';
+
+const subscriptions = getCollection('push_subscriptions');
+
+function isPushServiceEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+    if (url.username || url.password) return false;
+
+    if (STAND_IN_ENABLED && STAND_IN_HOSTS.includes(url.hostname) && url.pathname.startsWith('/push-stand-in/push/')) {
+        return true;
+    }
+    if (url.protocol !== 'https:' || url.port) return false;
+    return PUSH_SERVICE_HOSTS.some(host => host.startsWith('.') ? url.hostname.endsWith(host) : url.hostname === host);
+}
+
+function listSubscriptions(userId) {
+    return subscriptions.find(s => s.userId === userId);
+}
+
+// One record per endpoint; re-subscribing from the same browser replaces its
+// keys. An endpoint stays with the account that registered it until that
+// account removes it, so knowing someone's endpoint doesn't get you their reminders
+function saveSubscription(userId, { endpoint, keys }, userAgent = null) {
+    if (!isPushServiceEndpoint(endpoint)) {
+        return { error: 'endpoint must be on a browser push service' };
+    }
+    const existing = subscriptions.findOne(s => s.endpoint === endpoint);
+    if (existing && existing.userId !== userId) {
+        return { error: 'Notifications in this browser are already turned on for another account' };
+    }
+    if (existing) {
+        return { subscription: subscriptions.update(existing.id, { keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent }) };
+    }
+    return { subscription: subscriptions.insert({ userId, endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent }) };
+}
+
+function removeSubscription(userId, endpoint) {
+    return subscriptions.removeWhere(s => s.userId === userId && s.endpoint === endpoint) > 0;
+}
+
+// message: { title, body, url, tag } - whatever public/sw.js renders
+// Endpoints are checked again here, for records saved before the allowlist,
+// and redirects are never followed off the push service
+async function sendNotification(subscription, message, { ttl = DEFAULT_TTL_SECONDS, urgency = 'normal' } = {}) {
+    if (!isPushServiceEndpoint(subscription.endpoint)) {
+        throw new Error('Subscription endpoint is not on a known push service');
+    }
+    const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+            'Authorization': createAuthorization(subscription.endpoint),
+            'Content-Encoding': 'aes128gcm',
+            'Content-Type': 'application/octet-stream',
+            'TTL': String(ttl),
+            'Urgency': urgency
+        },
+        body: encrypt(JSON.stringify(message), subscription.keys),
+        redirect: 'error',
+        signal: AbortSignal.timeout(PUSH_TIMEOUT_MS)
+    });
+    return { status: response.status, ok: response.ok };
+}
+
+// Sends to every browser the user subscribed; endpoints the push service
+// reports as gone (404/410) are deleted so we stop trying them
+async function sendToUser(userId, message, options) {
+    const result = { sent: 0, failed: 0, removed: 0 };
+
+    for (const subscription of listSubscriptions(userId)) {
+        try {
+            const { status, ok } = await sendNotification(subscription, message, options);
+            if (ok) {
+                result.sent++;
+            } else if (status === 404 || status === 410) {
+                subscriptions.remove(subscription.id);
+                result.removed++;
+            } else {
+                log.warn(`⚠️ VYBIN: Push service returned ${status}`, { subscriptionId: subscription.id });
+                result.failed++;
+            }
+        } catch (error) {
+            log.warn('⚠️ VYBIN: Push failed', { subscriptionId: subscription.id, error });
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    ENDPOINT_PATTERN,
+    getPublicKey: () => getVapidKeys().publicKey,
+    listSubscriptions,
+    saveSubscription,
+    removeSubscription,
+    sendNotification,
+    sendToUser
+};
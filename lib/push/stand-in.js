@@ -0,0 +1,121 @@
+// lib/push/stand-in.js - local push service stand-in for development and testing
+//
+// Mounted at /push-stand-in when PUSH_STAND_IN=true. It plays both the push
+// service and the browser, so reminders can be exercised end to end offline:
+//
+//   POST   /push-stand-in/subscriptions               a new "browser" subscription to register
+//                                                    with /api/reminders/subscriptions
+//   POST   /push-stand-in/push/:id                    the endpoint VYBIN delivers to: checks the
+//                                                    VAPID token, decrypts and keeps the message
+//   GET    /push-stand-in/subscriptions/:id/messages  what was delivered, decrypted
+//   DELETE /push-stand-in/subscriptions/:id           expire it; later pushes get 410 Gone
+//
+// Everything lives in memory and is lost on restart.
+const crypto = require('crypto');
+const express = require('express');
+const { decrypt } = require('./encryption');
+const { verifyAuthorization } = require('./vapid');
+const log = require('../logger');
+
+const MAX_MESSAGES = 50;
+const MAX_BODY_BYTES = 8 * 1024;
+
+// express.raw() would try to decode Content-Encoding: aes128gcm, so read the bytes as sent
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Push message is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function createPushStandIn() {
+    const router = express.Router();
+    const browsers = new Map();
+
+    function origin(req) {
+        return `${req.protocol}://${req.get('host')}`;
+    }
+
+    router.post('/subscriptions', (req, res) => {
+        const id = crypto.randomUUID();
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        const authSecret = crypto.randomBytes(16);
+        browsers.set(id, { ecdh, authSecret, messages: [] });
+
+        res.status(201).json({
+            success: true,
+            id,
+            subscription: {
+                endpoint: `${origin(req)}${req.baseUrl}/push/${id}`,
+                keys: {
+                    p256dh: ecdh.getPublicKey().toString('base64url'),
+                    auth: authSecret.toString('base64url')
+                }
+            }
+        });
+    });
+
+    router.post('/push/:id', async (req, res) => {
+        const browser = browsers.get(req.params.id);
+        if (!browser) {
+            return res.status(410).send('Subscription has expired or been unsubscribed');
+        }
+
+        const authError = verifyAuthorization(req.get('authorization'), origin(req));
+        if (authError) {
+            return res.status(403).send(authError);
+        }
+        if (req.get('content-encoding') !== 'aes128gcm') {
+            return res.status(415).send('Content-Encoding must be aes128gcm');
+        }
+        if (!/^\d+$/.test(req.get('ttl') || '')) {
+            return res.status(400).send('TTL header is required');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(decrypt(await readBody(req), browser.ecdh, browser.authSecret));
+        } catch (error) {
+            return res.status(400).send(`Could not decrypt message: ${error.message}`);
+        }
+
+        browser.messages.push({
+            receivedAt: new Date().toISOString(),
+            ttl: Number(req.get('ttl')),
+            urgency: req.get('urgency') || 'normal',
+            payload
+        });
+        browser.messages = browser.messages.slice(-MAX_MESSAGES);
+
+        log.info('📬 VYBIN: Push stand-in received', { title: payload.title });
+        res.status(201).end();
+    });
+
+    router.get('/subscriptions/:id/messages', (req, res) => {
+        const browser = browsers.get(req.params.id);
+        if (!browser) {
+            return res.status(404).json({ success: false, error: 'Unknown stand-in subscription' });
+        }
+        res.json({ success: true, messages: browser.messages });
+    });
+
+    router.delete('/subscriptions/:id', (req, res) => {
+        res.json({ success: true, removed: browsers.delete(req.params.id) });
+    });
+
+    return router;
+}
+
+module.exports = { createPushStandIn };
@@ -0,0 +1,103 @@
+// lib/push/vapid.js - VAPID application server keys and signed push authorization
+//
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, the format
+// browsers and the web-push CLI use). Without them a key pair is generated
+// locally on first use and kept in the db, so subscriptions survive restarts.
+// VAPID_SUBJECT is the contact push services see (mailto: or https: URL).
+const crypto = require('crypto');
+const { getCollection } = require('../store');
+const log = require('../logger');
+
+const TOKEN_LIFETIME_SECONDS = 12 * 60 * 60; // Push services reject tokens over 24h
+
+const pushKeys = getCollection('push_keys');
+
+let cached = null;
+
+function generateKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return {
+        publicKey: ecdh.getPublicKey().toString('base64url'),
+        privateKey: ecdh.getPrivateKey().toString('base64url')
+    };
+}
+
+function getVapidKeys() {
+    if (cached) return cached;
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        cached = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+        return cached;
+    }
+
+    const stored = pushKeys.findOne(record => record.kind === 'vapid');
+    if (stored) {
+        cached = { publicKey: stored.publicKey, privateKey: stored.privateKey };
+        return cached;
+    }
+
+    cached = generateKeys();
+    pushKeys.insert({ kind: 'vapid', ...cached });
+    log.info('🔑 VYBIN: Generated VAPID keys for web push');
+    return cached;
+}
+
+// Raw uncompressed P-256 point (0x04 | x | y) as a JWK
+function toJwk(publicKey, privateKey) {
+    const point = Buffer.from(publicKey, 'base64url');
+    const jwk = {
+        kty: 'EC',
+        crv: 'P-256',
+        x: point.subarray(1, 33).toString('base64url'),
+        y: point.subarray(33, 65).toString('base64url')
+    };
+    if (privateKey) jwk.d = privateKey;
+    return jwk;
+}
+
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Authorization header for one push request: "vapid t=<ES256 JWT>, k=<public key>"
+function createAuthorization(endpoint) {
+    const { publicKey, privateKey } = getVapidKeys();
+    const claims = {
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_SECONDS,
+        sub: process.env.VAPID_SUBJECT || 'mailto:support@vybin.app'
+    };
+
+    const unsigned = `${encodeSegment({ typ: 'JWT', alg: 'ES256' })}.${encodeSegment(claims)}`;
+    const key = crypto.createPrivateKey({ key: toJwk(publicKey, privateKey), format: 'jwk' });
+    const signature = crypto.sign('sha256', Buffer.from(unsigned), { key, dsaEncoding: 'ieee-p1363' });
+
+    return `vapid t=${unsigned}.${signature.toString('base64url')}, k=${publicKey}`;
+}
+
+// What a push service checks before accepting a message; returns an error string or null
+function verifyAuthorization(header, audience) {
+    const match = /^vapid t=([\w-]+)\.([\w-]+)\.([\w-]+),\s*k=([\w-]+)$/.exec(header || '');
+    if (!match) return 'Missing or malformed VAPID authorization';
+
+    const [, headerSegment, claimsSegment, signature, publicKey] = match;
+    try {
+        const key = crypto.createPublicKey({ key: toJwk(publicKey), format: 'jwk' });
+        const valid = crypto.verify('sha256', Buffer.from(`${headerSegment}.${claimsSegment}`), {
+            key,
+            dsaEncoding: 'ieee-p1363'
+        }, Buffer.from(signature, 'base64url'));
+        if (!valid) return 'VAPID signature does not verify';
+
+        const claims = JSON.parse(Buffer.from(claimsSegment, 'base64url').toString('utf8'));
+        if (claims.aud !== audience) return `VAPID audience ${claims.aud} does not match ${audience}`;
+        if (!claims.exp || claims.exp * 1000 < Date.now()) return 'VAPID token has expired';
+        if (!claims.sub) return 'VAPID token has no subject';
+    } catch (error) {
+        return `Invalid VAPID token: ${error.message}`;
+    }
+    return null;
+}
+
+module.exports = { getVapidKeys, createAuthorization, verifyAuthorization };
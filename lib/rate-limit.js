@@ -0,0 +1,86 @@
+// lib/rate-limit.js - VYBIN request rate limiting
+//
+// Fixed-window counters kept in memory, so limits reset when the server
+// restarts and each process counts on its own. Limits per minute come from env:
+//
+//   RATE_LIMIT_API_PER_IP   any /api request, per client IP, default 300
+//   RATE_LIMIT_AI_PER_IP    AI routes, per client IP, default 30
+//   RATE_LIMIT_AI_PER_USER  AI routes, per signed-in user, default 10
+//   TRUST_PROXY             true when behind a proxy that sets X-Forwarded-For
+//
+// Set a limit to 0 to turn it off. Over the limit the request gets a 429 in
+// the usual error contract with retryAfterSeconds and a Retry-After header.
+const { sendError } = require('./errors');
+const { clientIp } = require('./location');
+const log = require('./logger');
+
+const WINDOW_MS = 60 * 1000;
+
+function envLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+// keyOf(req) names the bucket ("ip:1.2.3.4", "user:<id>"); no key, no limit
+function rateLimit({ name, max, keyOf }) {
+    const windows = new Map();
+
+    // Expired windows are dropped once a minute so the map can't grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, WINDOW_MS).unref();
+
+    return function limitRequests(req, res, next) {
+        const key = max > 0 ? keyOf(req) : null;
+        if (!key) return next();
+
+        const now = Date.now();
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + WINDOW_MS };
+            windows.set(key, window);
+        }
+        window.count++;
+
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(max - window.count, 0)),
+            'RateLimit-Reset': String(Math.ceil((window.resetAt - now) / 1000))
+        });
+        if (window.count <= max) return next();
+
+        const retryAfterSeconds = Math.ceil((window.resetAt - now) / 1000);
+        if (window.count === max + 1) {
+            // Once per window, not once per rejected request
+            log.warn('🚦 VYBIN: Rate limit reached', { limit: name, max, retryAfterSeconds });
+        }
+        res.set('Retry-After', String(retryAfterSeconds));
+        sendError(res, 429, 'Too many requests - please wait a moment and try again.', { retryAfterSeconds });
+    };
+}
+
+const apiLimit = rateLimit({
+    name: 'api-per-ip',
+    max: envLimit('RATE_LIMIT_API_PER_IP', 300),
+    keyOf: req => `ip:${clientIp(req)}`
+});
+
+// For AI routes, after requireAuth: one IP running many accounts and one
+// account on many IPs are both caught
+const aiLimit = [
+    rateLimit({
+        name: 'ai-per-ip',
+        max: envLimit('RATE_LIMIT_AI_PER_IP', 30),
+        keyOf: req => `ip:${clientIp(req)}`
+    }),
+    rateLimit({
+        name: 'ai-per-user',
+        max: envLimit('RATE_LIMIT_AI_PER_USER', 10),
+        keyOf: req => (req.user ? `user:${req.user.id}` : null)
+    })
+];
+
+module.exports = { rateLimit, apiLimit, aiLimit };
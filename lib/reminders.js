@@ -0,0 +1,225 @@
+// lib/reminders.js - VYBIN daily check-in reminders
+//
+// Each user picks a reminder time and timezone. The scheduler in server.js
+// calls runReminders() every minute; a reminder goes out once the user's local
+// time passes their reminder time, unless they already checked in today, it
+// is inside their quiet hours, or one was already sent today.
+//
+// After nudgeAfterMissedDays days without a check-in the daily reminder turns
+// into a gentle nudge that repeats only every nudgeAfterMissedDays days, so
+// someone taking a break isn't pinged every evening. 0 keeps daily reminders.
+const { getCollection } = require('./store');
+const { loadUserHistory } = require('./checkins');
+const { listSubscriptions, sendToUser } = require('./push');
+const { DEFAULT_LOCALE, getUserLocale } = require('./i18n');
+const log = require('./logger');
+
+const reminderSettings = getCollection('reminder_settings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+    enabled: false,
+    time: '19:00',
+    timeZone: 'UTC',
+    quietHours: { start: '22:00', end: '07:00' },
+    nudgeAfterMissedDays: 3
+};
+
+// Sent in the user's language (lib/i18n.js)
+const MESSAGES = {
+    en: {
+        reminder: {
+            title: 'Time for your VYBIN check-in 🌱',
+            body: 'How are you feeling today? Rating your 8 dimensions takes about a minute.'
+        },
+        nudge: {
+            title: 'Thinking of you 💛',
+            body: "It's been a few days. No pressure - VYBIN is here whenever you'd like to check in."
+        }
+    },
+    es: {
+        reminder: {
+            title: 'Es hora de tu registro en VYBIN 🌱',
+            body: '¿Cómo te sientes hoy? Calificar tus 8 dimensiones toma más o menos un minuto.'
+        },
+        nudge: {
+            title: 'Pensando en ti 💛',
+            body: 'Han pasado unos días. Sin presión - VYBIN está aquí cuando quieras hacer tu registro.'
+        }
+    }
+};
+
+function messageFor(userId, type) {
+    const messages = MESSAGES[getUserLocale(userId)] || MESSAGES[DEFAULT_LOCALE];
+    return { ...messages[type], tag: 'vybin-reminder', url: '/' };
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The user's calendar date (YYYY-MM-DD) and minutes past midnight at `when`
+function localClock(when, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(when).map(part => [part.type, part.value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+// Quiet hours may wrap past midnight (22:00-07:00)
+function inQuietHours(minutes, quietHours) {
+    if (!quietHours) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return false;
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate) - Date.parse(fromDate)) / DAY_MS);
+}
+
+function getReminderSettings(userId) {
+    const stored = reminderSettings.findOne(s => s.userId === userId);
+    const settings = { ...DEFAULT_SETTINGS, ...(stored || {}) };
+    return {
+        enabled: settings.enabled,
+        time: settings.time,
+        timeZone: settings.timeZone,
+        quietHours: settings.quietHours,
+        nudgeAfterMissedDays: settings.nudgeAfterMissedDays,
+        lastSentAt: settings.lastSentAt || null
+    };
+}
+
+// changes are already schema-validated; this checks what a schema can't
+function updateReminderSettings(userId, changes) {
+    const stored = reminderSettings.findOne(s => s.userId === userId);
+    const next = { ...getReminderSettings(userId), ...changes };
+
+    if (!isValidTimeZone(next.timeZone)) {
+        return { error: `${next.timeZone} is not a timezone we recognize` };
+    }
+    if (next.quietHours && inQuietHours(toMinutes(next.time), next.quietHours)) {
+        return { error: `A ${next.time} reminder would fall inside your quiet hours (${next.quietHours.start}-${next.quietHours.end})` };
+    }
+
+    const fields = {
+        enabled: next.enabled,
+        time: next.time,
+        timeZone: next.timeZone,
+        quietHours: next.quietHours,
+        nudgeAfterMissedDays: next.nudgeAfterMissedDays
+    };
+    // Missed days are only counted from when reminders were switched on
+    if (next.enabled && !(stored && stored.enabled)) {
+        fields.enabledAt = new Date().toISOString();
+    }
+
+    if (stored) {
+        reminderSettings.update(stored.id, fields);
+    } else {
+        reminderSettings.insert({ userId, ...fields });
+    }
+    return { settings: getReminderSettings(userId) };
+}
+
+// What to send this user right now, if anything: { type } or { skip: reason }.
+// checkinDates are the user's check-in days in their own timezone - dateOnly
+// is the UTC day, which for an evening check-in in the US is already tomorrow.
+function planReminder(stored, checkinDates, now) {
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    if (!settings.enabled) return { skip: 'disabled' };
+
+    const { date: today, minutes } = localClock(now, settings.timeZone);
+
+    if (minutes < toMinutes(settings.time)) return { skip: 'not-yet' };
+    if (settings.lastSentDate === today) return { skip: 'already-sent' };
+    if (inQuietHours(minutes, settings.quietHours)) return { skip: 'quiet-hours' };
+    if (checkinDates.includes(today)) return { skip: 'checked-in' };
+
+    // Days since the last check-in (or since reminders were switched on), not counting today
+    const enabledDate = localClock(new Date(settings.enabledAt || now), settings.timeZone).date;
+    const lastActiveDate = [...checkinDates, enabledDate].sort().pop();
+    const missedDays = Math.max(daysBetween(lastActiveDate, today) - 1, 0);
+
+    const threshold = settings.nudgeAfterMissedDays;
+    if (!threshold || missedDays < threshold) {
+        return { type: 'reminder', today, missedDays };
+    }
+
+    const nudgedSinceLastCheckin = settings.lastNudgeDate && settings.lastNudgeDate > lastActiveDate;
+    if (nudgedSinceLastCheckin && daysBetween(settings.lastNudgeDate, today) < threshold) {
+        return { skip: 'nudge-backoff' };
+    }
+    return { type: 'nudge', today, missedDays };
+}
+
+// One scheduler pass. Returns counts for logging and the test endpoint.
+async function runReminders(now = new Date()) {
+    const summary = { checked: 0, sent: 0, skipped: {} };
+
+    for (const stored of reminderSettings.find(s => s.enabled)) {
+        summary.checked++;
+
+        let plan;
+        if (listSubscriptions(stored.userId).length === 0) {
+            plan = { skip: 'no-subscription' };
+        } else {
+            const checkinDates = loadUserHistory(stored.userId).checkins
+                .map(checkin => localClock(new Date(checkin.timestamp), stored.timeZone).date);
+            plan = planReminder(stored, checkinDates, now);
+        }
+
+        if (plan.skip) {
+            summary.skipped[plan.skip] = (summary.skipped[plan.skip] || 0) + 1;
+            continue;
+        }
+
+        // Record first so a slow push service can't cause a double send on the next tick
+        reminderSettings.update(stored.id, {
+            lastSentDate: plan.today,
+            lastSentAt: now.toISOString(),
+            ...(plan.type === 'nudge' ? { lastNudgeDate: plan.today } : {})
+        });
+
+        const result = await sendToUser(stored.userId, { ...messageFor(stored.userId, plan.type), type: plan.type });
+        if (result.sent > 0) summary.sent++;
+        log.info('🔔 VYBIN: Sent reminder', { type: plan.type, missedDays: plan.missedDays, ...result });
+    }
+    return summary;
+}
+
+// Lets a user confirm notifications work on this device
+function sendTestReminder(userId) {
+    return sendToUser(userId, { ...messageFor(userId, 'reminder'), type: 'test' }, { ttl: 60 });
+}
+
+module.exports = {
+    getReminderSettings,
+    updateReminderSettings,
+    planReminder,
+    runReminders,
+    sendTestReminder
+};
@@ -0,0 +1,248 @@
+// lib/resources.js - VYBIN curated resource directory
+//
+// Every resource VYBIN recommends comes from here, never from the AI. The
+// directory ships as data files (data/resources/national.json plus one file
+// per state in data/resources/states/) and admins can add or update entries
+// from CSV; imported entries are stored in the resource_directory collection
+// and override bundled entries with the same id.
+//
+// An entry lists the languages its service helps people in ("languages",
+// English when left out) and can carry translated text for each VYBIN
+// locale under "translations" - name, description, text and url (e.g. the
+// Spanish site). Searches return entries in the user's language and rank
+// services that help in it ahead of equally relevant ones that don't.
+const fs = require('fs');
+const path = require('path');
+const { getCollection } = require('./store');
+const { parseCsvRecords } = require('./csv');
+const log = require('./logger');
+const { DEFAULT_LOCALE, LOCALE_CODES, localize } = require('./i18n');
+const { DIMENSIONS: CHECKIN_DIMENSIONS, DEFAULT_DIMENSIONS } = require('./instruments');
+
+const imported = getCollection('resource_directory');
+
+const DATA_DIR = path.join(__dirname, '..', 'data', 'resources');
+
+// Bundled entries are tagged with the default eight dimensions, so those stay
+// valid when a program's instruments config uses different ones
+const DIMENSIONS = [...new Set([...DEFAULT_DIMENSIONS, ...CHECKIN_DIMENSIONS])];
+const SCOPES = ['national', 'state', 'city'];
+const US_STATES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+    'PR', 'GU', 'VI', 'AS', 'MP'
+];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,63}$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+const TRANSLATED_FIELDS = ['name', 'description', 'text', 'url'];
+
+// Entries with these tags are for a specific situation or community, so they
+// are only suggested when the user's situation matches - not for a low rating alone
+const SITUATION_ONLY_TAGS = ['crisis', 'domestic-violence', 'veterans', 'lgbtq', 'seniors', 'eating-disorders', 'substance-use'];
+
+// Always offered when nothing more specific matches
+const FALLBACK_IDS = ['us-211', 'us-988-lifeline'];
+
+let bundled = null;
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadBundled() {
+    if (bundled) return bundled;
+
+    bundled = readJson(path.join(DATA_DIR, 'national.json'));
+    const statesDir = path.join(DATA_DIR, 'states');
+    for (const file of fs.readdirSync(statesDir).filter(f => f.endsWith('.json')).sort()) {
+        bundled.push(...readJson(path.join(statesDir, file)));
+    }
+
+    for (const entry of bundled) {
+        const error = validateEntry(entry);
+        if (error) throw new Error(`Invalid bundled resource ${entry.id || '(no id)'}: ${error}`);
+    }
+    log.info(`📚 VYBIN: Loaded ${bundled.length} bundled resources`);
+    return bundled;
+}
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || url.protocol === 'http:';
+    } catch (error) {
+        return false;
+    }
+}
+
+// Returns an error message, or null when the entry is usable
+function validateEntry(entry) {
+    if (!ID_PATTERN.test(entry.id || '')) return 'id must be lowercase letters, numbers and dashes';
+    if (!entry.name || entry.name.length > 120) return 'name is required (max 120 characters)';
+    if (!entry.description || entry.description.length > 500) return 'description is required (max 500 characters)';
+    if (!entry.url && !entry.phone) return 'url or phone is required';
+    if (entry.url && !isHttpUrl(entry.url)) return 'url must be a full http(s) URL';
+    if (!SCOPES.includes(entry.scope)) return `scope must be one of ${SCOPES.join(', ')}`;
+    if (entry.scope !== 'national' && !US_STATES.includes(entry.state)) return 'state must be a two-letter US state code';
+    if (entry.scope === 'city' && !entry.city) return 'city is required for city resources';
+    if (!Array.isArray(entry.dimensions) || entry.dimensions.some(d => !DIMENSIONS.includes(d))) {
+        return `dimensions must be from ${DIMENSIONS.join(', ')}`;
+    }
+    if (!Array.isArray(entry.tags) || entry.tags.some(t => !TAG_PATTERN.test(t))) {
+        return 'tags must be lowercase words or dashes';
+    }
+    if (entry.dimensions.length === 0 && entry.tags.length === 0) return 'at least one dimension or tag is required';
+    if (entry.languages !== undefined &&
+        (!Array.isArray(entry.languages) || entry.languages.length === 0 || entry.languages.some(l => !LANGUAGE_PATTERN.test(l)))) {
+        return 'languages must be two-letter language codes like en or es';
+    }
+    return validateTranslations(entry.translations);
+}
+
+function validateTranslations(translations) {
+    if (translations === undefined) return null;
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) return 'translations must be an object keyed by locale';
+    for (const [locale, translated] of Object.entries(translations)) {
+        if (!LOCALE_CODES.includes(locale) || locale === DEFAULT_LOCALE) {
+            return `translations can be for ${LOCALE_CODES.filter(l => l !== DEFAULT_LOCALE).join(', ')}`;
+        }
+        if (!translated || typeof translated !== 'object') return `translations.${locale} must be an object`;
+        const unknown = Object.keys(translated).find(field => !TRANSLATED_FIELDS.includes(field));
+        if (unknown) return `translations.${locale}.${unknown} can't be translated (only ${TRANSLATED_FIELDS.join(', ')})`;
+        if (translated.name !== undefined && (!translated.name || translated.name.length > 120)) return `translations.${locale}.name must be 1-120 characters`;
+        if (translated.description !== undefined && (!translated.description || translated.description.length > 500)) {
+            return `translations.${locale}.description must be 1-500 characters`;
+        }
+        if (translated.url !== undefined && !isHttpUrl(translated.url)) return `translations.${locale}.url must be a full http(s) URL`;
+    }
+    return null;
+}
+
+// The entry as a user in this locale sees it; translations are dropped from the result
+function localizeEntry(entry, locale) {
+    return { ...localize(entry, locale, TRANSLATED_FIELDS), languages: entry.languages || [DEFAULT_LOCALE] };
+}
+
+// Bundled entries with admin imports layered on top (same id wins)
+function getDirectory() {
+    const byId = new Map(loadBundled().map(entry => [entry.id, entry]));
+    for (const entry of imported.all()) {
+        byId.set(entry.id, entry);
+    }
+    return [...byId.values()];
+}
+
+function sameCity(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+// Directory entries for a place, best match first, localized for the user.
+// Entries for other states or cities are never returned; tag (situation)
+// matches outrank dimension matches, and on a tie services in the user's
+// language come first, then local entries ahead of national ones.
+function searchDirectory({ state, city, dimensions = [], tags = [], limit = 4, locale = DEFAULT_LOCALE } = {}) {
+    const stateCode = String(state || '').trim().toUpperCase();
+
+    const scored = getDirectory()
+        .filter(entry => entry.scope === 'national' ||
+            (entry.state === stateCode && (entry.scope === 'state' || sameCity(entry.city, city))))
+        .map(entry => {
+            const tagMatches = entry.tags.filter(t => tags.includes(t)).length;
+            const dimensionMatches = entry.dimensions.filter(d => dimensions.includes(d)).length;
+            const locality = entry.scope === 'city' ? 2 : entry.scope === 'state' ? 1 : 0;
+            const language = (entry.languages || [DEFAULT_LOCALE]).includes(locale) ? 1 : 0;
+            const situationOnly = entry.tags.some(t => SITUATION_ONLY_TAGS.includes(t));
+            if (situationOnly && tagMatches === 0) return { entry, score: 0, language, locality };
+            return { entry, score: tagMatches * 3 + dimensionMatches * 2, language, locality };
+        })
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || b.language - a.language || b.locality - a.locality);
+
+    const results = scored.slice(0, limit).map(({ entry }) => entry);
+
+    for (const id of FALLBACK_IDS) {
+        if (results.length >= limit) break;
+        const fallback = getDirectory().find(entry => entry.id === id);
+        if (fallback && !results.includes(fallback)) results.push(fallback);
+    }
+    return results.map(entry => localizeEntry(entry, locale));
+}
+
+function splitList(value) {
+    return String(value || '')
+        .split(/[;|]/)
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// Translated columns are <field>_<locale>, e.g. name_es, description_es, text_es, url_es
+function translationsFrom(record) {
+    const translations = {};
+    for (const [column, value] of Object.entries(record)) {
+        const match = column.match(/^(\w+)_([a-z]{2})$/);
+        if (!match || !value) continue;
+        const [, field, locale] = match;
+        translations[locale] = { ...translations[locale], [field]: value };
+    }
+    return Object.keys(translations).length > 0 ? translations : undefined;
+}
+
+// CSV columns: id,name,description,url,phone,text,icon,scope,state,city,dimensions,tags,languages
+// (dimensions, tags and languages separated by ";") plus optional translated
+// columns like name_es. Every row is checked before anything is saved
+// (problems come back as { field, message }); with replace, previously imported entries are cleared first.
+function importDirectoryCsv(csvText, { replace = false } = {}) {
+    const records = parseCsvRecords(csvText);
+    if (records.length === 0) {
+        return { errors: [{ field: 'body', message: 'CSV has no rows' }] };
+    }
+
+    const errors = [];
+    const entries = records.map((record, index) => {
+        const entry = {
+            id: record.id,
+            name: record.name,
+            icon: record.icon || '📍',
+            description: record.description,
+            url: record.url || undefined,
+            phone: record.phone || undefined,
+            text: record.text || undefined,
+            scope: (record.scope || 'national').toLowerCase(),
+            state: record.state ? record.state.toUpperCase() : undefined,
+            city: record.city || undefined,
+            dimensions: splitList(record.dimensions),
+            tags: splitList(record.tags),
+            languages: record.languages ? splitList(record.languages) : undefined,
+            translations: translationsFrom(record)
+        };
+        const error = validateEntry(entry);
+        if (error) errors.push({ field: `row ${index + 2}`, message: error }); // Row 1 is the header
+        return entry;
+    });
+    if (errors.length > 0) return { errors };
+
+    if (replace) {
+        imported.removeWhere(() => true);
+    }
+
+    let added = 0;
+    let updated = 0;
+    for (const entry of entries) {
+        const fields = JSON.parse(JSON.stringify(entry)); // Drop undefined columns
+        if (imported.remove(entry.id)) {
+            updated++;
+        } else {
+            added++;
+        }
+        imported.insert(fields);
+    }
+    return { added, updated, total: getDirectory().length };
+}
+
+module.exports = {
+    getDirectory,
+    searchDirectory,
+    importDirectoryCsv
+};
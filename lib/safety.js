@@ -0,0 +1,273 @@
+// lib/safety.js - VYBIN crisis and self-harm screening
+//
+// Runs before any AI call. Free text and ratings are scored for risk; when the
+// score crosses the crisis threshold the route attaches a `crisis` payload
+// (988, Crisis Text Line, 911) that the frontend shows above the AI reply.
+// Signals are matched in English and Spanish whatever the user's locale -
+// people switch languages when they're upset - and the payload is written
+// in the user's locale.
+//
+// Accented letters aren't \w to these patterns, so a Spanish phrase that ends
+// in one ("sin mí") has no closing \b.
+const { getCollection } = require('./store');
+const log = require('./logger');
+const { SCALE, isConcern } = require('./instruments');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+const crisisEvents = getCollection('crisis_events');
+
+// Each signal: category, weight and the phrases that indicate it
+const RISK_SIGNALS = [
+    {
+        category: 'suicidal_ideation',
+        weight: 10,
+        patterns: [
+            /\b(kill|killed|killing) my ?self\b/,
+            /\bsuicid(e|al)\b/,
+            /\b(end|ended|ending) (my|it) (life|all)\b/,
+            /\btake my (own )?life\b/,
+            /\b(want|wanted|wanna|going) to die\b/,
+            /\bwish i (was|were) dead\b/,
+            /\bbetter off dead\b/,
+            /\b(don'?t|do not) want to (live|be alive|wake up|exist|be here anymore)\b/,
+            /\bno reason to live\b/,
+            /\b(matarme|suicidarme|quitarme la vida)\b/,
+            /\bme (quiero|voy a) (matar|suicidar)\b/,
+            /\bsuicid(io|arme)\b/,
+            /\b(quiero|quisiera|me quiero|voy a) morir(me)?\b/,
+            /\bquisiera (estar muert[oa]|no despertar)\b/,
+            /\bno quiero (vivir|seguir viviendo|despertar)\b/,
+            /\bacabar con (mi vida|todo)\b/,
+            /\bno (tengo|hay) (razón|razones|motivos?) para vivir\b/,
+            /\bmejor muert[oa]\b/
+        ]
+    },
+    {
+        category: 'self_harm',
+        weight: 8,
+        patterns: [
+            /\b(hurt(ing)?|harm(ed|ing)?|cut(ting)?|burn(ed|t|ing)?) my ?self\b/,
+            /\bself[- ]?harm/,
+            /\boverdos(e|ed|ing)\b/,
+            /\btook (too many|all (of )?my|a bunch of) pills\b/,
+            /\b(cortarme|lastimarme|quemarme|hacerme daño)\b/,
+            /\bme (estoy )?(corto|cortando|lastimo|lastimando|quemo|quemando)\b/,
+            /\bautolesi(ón|ones|onarme)/,
+            /\bsobredosis\b/
+        ]
+    },
+    {
+        category: 'plan_or_means',
+        weight: 6,
+        patterns: [
+            /\b(have|got|made) a plan\b/,
+            /\b(stockpil|sav)(e|ed|ing) (up )?(my )?pills\b/,
+            /\b(gun|rope|pills) (is|are) (ready|here)\b/,
+            /\bwrote (a|my) (note|goodbye)\b/,
+            /\bsaying goodbye\b/,
+            /\b(tengo|hice) un plan\b/,
+            /\b(guardando|juntando|acumulando) (mis )?pastillas\b/,
+            /\b(escribí|dejé) (una|mi) (carta|nota) de despedida\b/,
+            /\bdespidiéndome\b/
+        ]
+    },
+    {
+        category: 'hopelessness',
+        weight: 4,
+        patterns: [
+            /\bhopeless\b/,
+            /\bno way out\b/,
+            /\bcan'?t (go on|take it anymore|do this anymore)\b/,
+            /\bnothing (matters|to live for)\b/,
+            /\b(everyone|they)('d| would) be better off without me\b/,
+            /\bi'?m a burden\b/,
+            /\b(sin esperanza|desesperanzad[oa])\b/,
+            /\bno (hay|veo) salida\b/,
+            /\b(ya )?no (aguanto|puedo) más/,
+            /\bnada (importa|tiene sentido)\b/,
+            /\bestarían mejor sin mí/,
+            /\bsoy una carga\b/
+        ]
+    },
+    {
+        category: 'immediacy',
+        weight: 4,
+        patterns: [
+            /\b(tonight|right now|today)\b/,
+            /\b(esta noche|ahora mismo|hoy)\b/
+        ]
+    },
+    {
+        category: 'harm_to_others',
+        weight: 8,
+        patterns: [
+            /\b(kill|hurt) (him|her|them|someone|somebody)\b/,
+            /\b(matar|lastimar) a (alguien|él|ella|ellos)/,
+            /\b(matarlo|matarla|matarlos)\b/
+        ]
+    }
+];
+
+// "not suicidal", "never wanted to hurt myself", "nunca quise lastimarme", etc. should
+// not count. The negation has to modify the phrase itself: it sits right before it,
+// with at most a couple of helper words between, so "I have no friends and I want
+// to die" or "I'm not okay I want to die" still count
+const NEGATOR = "(not|never|no longer|don'?t|do not|didn'?t|did not|won'?t|isn'?t|wasn'?t|nunca|jamás|tampoco|no)";
+const NEGATION_FILLER = "(really|ever|even|actually|want(ed)? to|going to|gonna|plann(ed|ing) to|trying to|tried to|be|feel(ing)?|am|quiero|quise|voy a|pienso|pensé en)";
+const NEGATION = new RegExp(`\\b${NEGATOR}\\s+(${NEGATION_FILLER}\\s+){0,2}$`);
+// A negation never reaches across one of these
+const CLAUSE_BREAK = /[.!?;,:]|\b(and|but|or|so|because|y|pero|o|porque|aunque)\b/g;
+
+const CRISIS_THRESHOLD = 8;   // at or above: show crisis resources
+const IMMINENT_THRESHOLD = 16; // at or above: lead with 911 guidance
+
+// The part of the clause before index, up to the nearest clause break
+function clauseBefore(text, index) {
+    const before = text.substring(Math.max(0, index - 40), index);
+    const breaks = [...before.matchAll(CLAUSE_BREAK)];
+    if (breaks.length === 0) return before;
+    const last = breaks[breaks.length - 1];
+    return before.substring(last.index + last[0].length);
+}
+
+// Any mention that isn't negated counts, not just the first one
+function matchSignal(text, pattern) {
+    const global = new RegExp(pattern.source, 'g');
+    for (const match of text.matchAll(global)) {
+        if (!NEGATION.test(clauseBefore(text, match.index))) return true;
+    }
+    return false;
+}
+
+function assessRisk({ text = '', ratings = {} } = {}) {
+    const normalized = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+    const signals = [];
+    let score = 0;
+
+    for (const signal of RISK_SIGNALS) {
+        if (signal.patterns.some(pattern => matchSignal(normalized, pattern))) {
+            signals.push(signal.category);
+            score += signal.weight;
+        }
+    }
+
+    // Immediacy alone ("tonight") is meaningless without another signal
+    if (signals.length === 1 && signals[0] === 'immediacy') {
+        signals.length = 0;
+        score = 0;
+    }
+
+    // Very low emotional ratings amplify whatever the text says. The signal
+    // names predate configurable scales: _1 is the bottom of the scale, _2 any
+    // other rating at or below the concern threshold
+    const emotional = ratings && ratings.emotional;
+    if (emotional === SCALE.min) {
+        signals.push('emotional_rating_1');
+        score += signals.length > 1 ? 4 : 2;
+    } else if (Number.isInteger(emotional) && isConcern(emotional) && signals.length > 0) {
+        signals.push('emotional_rating_2');
+        score += 2;
+    }
+
+    const lowCount = Object.values(ratings || {}).filter(r => r === SCALE.min).length;
+    if (lowCount >= 4) {
+        signals.push('widespread_low_ratings');
+        score += 2;
+    }
+
+    let level = 'none';
+    if (score >= IMMINENT_THRESHOLD) level = 'imminent';
+    else if (score >= CRISIS_THRESHOLD) level = 'high';
+    else if (score > 0) level = 'elevated';
+
+    return { level, score, signals, triggered: score >= CRISIS_THRESHOLD };
+}
+
+// Crisis contacts and messages per locale; numbers and links are the same services
+const CRISIS_TEXT = {
+    en: {
+        contacts: [
+            {
+                name: '988 Suicide & Crisis Lifeline',
+                action: 'Call or text 988',
+                phone: '988',
+                url: 'https://988lifeline.org'
+            },
+            {
+                name: 'Crisis Text Line',
+                action: 'Text HOME to 741741',
+                sms: '741741',
+                smsBody: 'HOME',
+                url: 'https://www.crisistextline.org'
+            },
+            {
+                name: 'Emergency Services',
+                action: 'Call 911 if you are in immediate danger',
+                phone: '911'
+            }
+        ],
+        imminent: "It sounds like you might be in danger right now. Please reach out for immediate help - you don't have to go through this alone.",
+        high: 'What you shared matters, and you deserve support right now. Trained counselors are available 24/7, free and confidential.'
+    },
+    es: {
+        contacts: [
+            {
+                name: '988 Línea de Prevención del Suicidio y Crisis',
+                action: 'Llama al 988 y marca 2, o envía AYUDA al 988',
+                phone: '988',
+                url: 'https://988lineadevida.org'
+            },
+            {
+                name: 'Crisis Text Line',
+                action: 'Envía AYUDA al 741741',
+                sms: '741741',
+                smsBody: 'AYUDA',
+                url: 'https://www.crisistextline.org'
+            },
+            {
+                name: 'Servicios de emergencia',
+                action: 'Llama al 911 si estás en peligro inmediato',
+                phone: '911'
+            }
+        ],
+        imminent: 'Parece que podrías estar en peligro en este momento. Por favor, busca ayuda de inmediato - no tienes que pasar por esto a solas.',
+        high: 'Lo que compartiste importa, y mereces apoyo ahora mismo. Hay consejeros capacitados disponibles las 24 horas, de forma gratuita y confidencial.'
+    }
+};
+
+function buildCrisisPayload(level, locale = DEFAULT_LOCALE) {
+    const text = CRISIS_TEXT[locale] || CRISIS_TEXT[DEFAULT_LOCALE];
+    const contacts = text.contacts.map(contact => ({ ...contact }));
+
+    // Lead with 911 when there are signs of immediate danger
+    if (level === 'imminent') {
+        contacts.unshift(contacts.pop());
+    }
+
+    return {
+        level,
+        message: level === 'imminent' ? text.imminent : text.high,
+        contacts
+    };
+}
+
+// Screen a request before it reaches the AI; logs an audit event when triggered.
+// locale only picks the language of the payload
+function screenForCrisis(userId, route, input, locale = DEFAULT_LOCALE) {
+    const assessment = assessRisk(input);
+    if (!assessment.triggered) return null;
+
+    // Audit log keeps categories and scores only - never the user's words
+    crisisEvents.insert({
+        userId,
+        route,
+        level: assessment.level,
+        score: assessment.score,
+        signals: assessment.signals
+    });
+    log.warn('🆘 VYBIN: Crisis screening triggered', { route, riskLevel: assessment.level, signals: assessment.signals });
+
+    return buildCrisisPayload(assessment.level, locale);
+}
+
+module.exports = { assessRisk, buildCrisisPayload, screenForCrisis };
@@ -0,0 +1,585 @@
+// lib/schemas.js - VYBIN API route schemas
+//
+// One entry per route, keyed "METHOD /express/path". Each entry documents the
+// route (summary, tag) and holds the JSON Schemas for params, query and body.
+// lib/validation.js checks requests against these and lib/openapi.js turns
+// the same table into the OpenAPI document served at /api/openapi.json.
+const { DIMENSIONS, SCALE } = require('./instruments');
+const { GOAL_STATUSES, TASK_STATUSES, OUTCOMES } = require('./goals');
+const { SHARE_ROLES } = require('./sharing');
+const { LOCALE_CODES } = require('./i18n');
+const { ENDPOINT_PATTERN } = require('./push');
+
+const rating = { type: 'integer', minimum: SCALE.min, maximum: SCALE.max };
+
+// Dimensions and scale come from the instruments config (GET /api/instruments)
+const ratings = {
+    type: 'object',
+    description: `Ratings from ${SCALE.min} (struggling) to ${SCALE.max} (thriving), keyed by dimension`,
+    properties: Object.fromEntries(DIMENSIONS.map(dimension => [dimension, rating])),
+    additionalProperties: false,
+    minProperties: 1
+};
+
+const dateOnly = { type: 'string', format: 'date', description: 'YYYY-MM-DD' };
+const id = { type: 'string', minLength: 1, maxLength: 100 };
+const context = { type: 'string', maxLength: 5000, description: "What's going on, in the user's own words" };
+
+const clockTime = {
+    type: 'string',
+    pattern: '^([01]\\d|2[0-3]):[0-5]\\d$',
+    errorMessage: 'must be a 24-hour time like 19:00',
+    description: 'HH:MM, 24-hour, in the chosen timezone'
+};
+
+function object(properties, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function idParam(name) {
+    return object({ [name]: id }, [name]);
+}
+
+const goalDimension = { type: 'string', enum: DIMENSIONS };
+const goalTitle = { type: 'string', minLength: 1, maxLength: 120, pattern: '\\S', errorMessage: 'must be 1-120 characters' };
+const goalWhy = { type: 'string', maxLength: 500, description: 'Why this matters to them, in their words' };
+const taskText = { type: 'string', minLength: 1, maxLength: 200, pattern: '\\S', errorMessage: 'must be 1-200 characters' };
+const taskParams = object({ id, taskId: id }, ['id', 'taskId']);
+
+const sharedDimensions = {
+    type: 'array',
+    items: { type: 'string', enum: DIMENSIONS },
+    minItems: 1,
+    maxItems: DIMENSIONS.length,
+    description: 'Which check-in dimensions the supporter can see'
+};
+const includeContext = { type: 'boolean', description: 'Whether what the user writes with each check-in is shared too' };
+const locale = { type: 'string', enum: LOCALE_CODES, description: 'Language for the UI, voice, AI replies and resources' };
+
+const ROUTES = {
+    // Accounts and sessions
+    'POST /api/auth/register': {
+        tag: 'Auth',
+        summary: 'Create an account and start a session',
+        public: true,
+        body: object({
+            username: {
+                type: 'string',
+                pattern: '^[a-zA-Z0-9_.-]{3,32}$',
+                errorMessage: 'must be 3-32 letters, numbers, dots, dashes or underscores'
+            },
+            password: { type: 'string', minLength: 6, maxLength: 200 },
+            locale
+        }, ['username', 'password'])
+    },
+    'POST /api/auth/login': {
+        tag: 'Auth',
+        summary: 'Log in and start a session',
+        public: true,
+        body: object({
+            username: { type: 'string', minLength: 1, maxLength: 100 },
+            password: { type: 'string', minLength: 1, maxLength: 200 }
+        }, ['username', 'password'])
+    },
+    'POST /api/auth/logout': {
+        tag: 'Auth',
+        summary: 'End the current session',
+        public: true
+    },
+    'GET /api/auth/demo': {
+        tag: 'Auth',
+        summary: 'Whether the demo account is available',
+        public: true
+    },
+    'GET /api/auth/me': {
+        tag: 'Auth',
+        summary: 'The signed-in user'
+    },
+
+    // Check-ins
+    'POST /api/checkins': {
+        tag: 'Check-ins',
+        summary: 'Save a check-in',
+        body: object({
+            ratings,
+            context,
+            date: { type: 'string', format: 'date-time', description: 'Defaults to now; offline check-ins send when they were made' },
+            clientId: {
+                type: 'string',
+                pattern: '^[A-Za-z0-9_-]{8,64}$',
+                description: 'Device-generated id for queued offline check-ins; resending it returns the saved check-in (duplicate: true) instead of a new one'
+            }
+        }, ['ratings'])
+    },
+    'GET /api/checkins': {
+        tag: 'Check-ins',
+        summary: 'Check-in history, newest first',
+        query: object({
+            from: dateOnly,
+            to: dateOnly,
+            limit: { type: 'integer', minimum: 1, maximum: 200 },
+            offset: { type: 'integer', minimum: 0 }
+        })
+    },
+    'GET /api/checkins/:id': {
+        tag: 'Check-ins',
+        summary: 'One check-in',
+        params: idParam('id')
+    },
+    'PATCH /api/checkins/:id': {
+        tag: 'Check-ins',
+        summary: 'Update ratings or context of a check-in',
+        params: idParam('id'),
+        body: { ...object({ ratings, context }), minProperties: 1 }
+    },
+    'DELETE /api/checkins/:id': {
+        tag: 'Check-ins',
+        summary: 'Delete a check-in',
+        params: idParam('id')
+    },
+
+    // Goals and action plans
+    'GET /api/goals': {
+        tag: 'Goals',
+        summary: 'Your goals with their tasks and progress, active first',
+        query: object({
+            status: { type: 'string', enum: [...GOAL_STATUSES, 'all'], description: 'Defaults to active' }
+        })
+    },
+    'POST /api/goals': {
+        tag: 'Goals',
+        summary: 'Set a goal for one check-in dimension',
+        body: object({ dimension: goalDimension, title: goalTitle, why: goalWhy }, ['dimension', 'title'])
+    },
+    'GET /api/goals/follow-up': {
+        tag: 'Goals',
+        summary: "Open tasks to ask about at today's check-in"
+    },
+    'GET /api/goals/:id': {
+        tag: 'Goals',
+        summary: 'One goal with its tasks',
+        params: idParam('id')
+    },
+    'PATCH /api/goals/:id': {
+        tag: 'Goals',
+        summary: 'Rename a goal or mark it completed, archived or active again',
+        params: idParam('id'),
+        body: { ...object({ title: goalTitle, why: goalWhy, status: { type: 'string', enum: GOAL_STATUSES } }), minProperties: 1 }
+    },
+    'DELETE /api/goals/:id': {
+        tag: 'Goals',
+        summary: 'Delete a goal and its tasks',
+        params: idParam('id')
+    },
+    'POST /api/goals/:id/tasks': {
+        tag: 'Goals',
+        summary: 'Add a task, typed or picked from the steps a wellness response suggested',
+        params: idParam('id'),
+        body: object({
+            text: taskText,
+            source: { type: 'string', enum: ['manual', 'suggested'], description: 'suggested when it came from suggestedActions' },
+            checkinId: { ...id, description: 'The check-in whose response suggested it' }
+        }, ['text'])
+    },
+    'PATCH /api/goals/:id/tasks/:taskId': {
+        tag: 'Goals',
+        summary: 'Reword a task or set its status',
+        params: taskParams,
+        body: { ...object({ text: taskText, status: { type: 'string', enum: TASK_STATUSES } }), minProperties: 1 }
+    },
+    'DELETE /api/goals/:id/tasks/:taskId': {
+        tag: 'Goals',
+        summary: 'Remove a task',
+        params: taskParams
+    },
+    'POST /api/goals/:id/tasks/:taskId/progress': {
+        tag: 'Goals',
+        summary: 'How a task went since the last check-in; done and dropped close it',
+        params: taskParams,
+        body: object({
+            outcome: { type: 'string', enum: OUTCOMES },
+            note: { type: 'string', maxLength: 500 },
+            checkinId: { ...id, description: 'The check-in this was answered at' }
+        }, ['outcome'])
+    },
+
+    // Sharing with a supporter
+    'GET /api/sharing': {
+        tag: 'Sharing',
+        summary: 'Who you share with: pending, active, expired and revoked invitations'
+    },
+    'POST /api/sharing': {
+        tag: 'Sharing',
+        summary: 'Invite a peer supporter or clinician by email and choose what they can see',
+        body: object({
+            email: {
+                type: 'string',
+                maxLength: 254,
+                pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+                errorMessage: 'must be an email address'
+            },
+            role: { type: 'string', enum: Object.keys(SHARE_ROLES) },
+            dimensions: sharedDimensions,
+            includeContext
+        }, ['email', 'role', 'dimensions'])
+    },
+    'POST /api/sharing/invites/accept': {
+        tag: 'Sharing',
+        summary: 'Accept an invitation with the token from its link',
+        body: object({ token: { type: 'string', minLength: 1, maxLength: 200 } }, ['token'])
+    },
+    'GET /api/sharing/shared-with-me': {
+        tag: 'Sharing',
+        summary: 'People who share their check-ins with you'
+    },
+    'GET /api/sharing/shared-with-me/:id': {
+        tag: 'Sharing',
+        summary: 'Read-only trends and flagged low ratings for the dimensions shared with you; every view is recorded',
+        params: idParam('id'),
+        query: object({
+            from: dateOnly,
+            to: dateOnly,
+            days: { type: 'integer', minimum: 1, maximum: 3650, description: 'Last N days (ignored when from is given)' }
+        })
+    },
+    'PATCH /api/sharing/:id': {
+        tag: 'Sharing',
+        summary: 'Change which dimensions a supporter sees or whether context is included',
+        params: idParam('id'),
+        body: { ...object({ dimensions: sharedDimensions, includeContext }), minProperties: 1 }
+    },
+    'DELETE /api/sharing/:id': {
+        tag: 'Sharing',
+        summary: "Revoke a supporter's access or cancel a pending invitation",
+        params: idParam('id')
+    },
+
+    // AI routes
+    'POST /api/preliminary-insights': {
+        tag: 'AI',
+        summary: 'Short first reply to the ratings, before the user adds context',
+        stream: true,
+        body: object({ ratings }, ['ratings'])
+    },
+    'POST /api/wellness-response': {
+        tag: 'AI',
+        summary: 'Full response to a saved check-in; starts its conversation thread',
+        stream: true,
+        body: object({
+            checkinId: id,
+            preliminaryInsights: { type: 'string', maxLength: 4000 }
+        }, ['checkinId'])
+    },
+    'POST /api/continue-conversation': {
+        tag: 'AI',
+        summary: 'Ask a follow-up question in a conversation thread',
+        stream: true,
+        body: object({
+            threadId: id,
+            userQuestion: { type: 'string', minLength: 1, maxLength: 2000 }
+        }, ['threadId', 'userQuestion'])
+    },
+    'POST /api/search-resources': {
+        tag: 'Resources',
+        summary: 'Resources from the curated directory, with personalized descriptions (uses the saved location when none is given)',
+        body: object({
+            concerningAreas: { type: 'array', items: { type: 'string', enum: DIMENSIONS }, maxItems: DIMENSIONS.length },
+            location: { type: 'string', maxLength: 200, description: 'Ignored; sent by older clients' },
+            zip: { type: 'string', maxLength: 10 },
+            state: { type: 'string', maxLength: 50 },
+            county: { type: 'string', maxLength: 60 },
+            city: { type: 'string', maxLength: 100 },
+            userContext: context,
+            userRatings: ratings
+        })
+    },
+
+    // Weekly digests
+    'GET /api/digests': {
+        tag: 'Digests',
+        summary: 'Weekly reflection digests, newest first, and the digest email setting',
+        query: object({ limit: { type: 'integer', minimum: 1, maximum: 52, description: 'How many weeks (default 12)' } })
+    },
+    'GET /api/digests/settings': {
+        tag: 'Digests',
+        summary: 'Whether the weekly digest is also emailed, and where'
+    },
+    'PUT /api/digests/settings': {
+        tag: 'Digests',
+        summary: 'Turn the weekly digest email on or off, or change its address',
+        body: {
+            ...object({
+                emailEnabled: { type: 'boolean' },
+                email: {
+                    type: 'string',
+                    maxLength: 254,
+                    pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+                    errorMessage: 'must be an email address'
+                }
+            }),
+            minProperties: 1
+        }
+    },
+
+    // Language
+    'GET /api/locale': {
+        tag: 'Language',
+        summary: "The user's language and the languages VYBIN supports",
+        public: true
+    },
+    'PUT /api/locale': {
+        tag: 'Language',
+        summary: "Change the user's language",
+        body: object({ locale }, ['locale'])
+    },
+
+    // Location
+    'GET /api/location': {
+        tag: 'Location',
+        summary: 'The saved location, whether IP suggestions are available, and the list of states'
+    },
+    'PUT /api/location': {
+        tag: 'Location',
+        summary: 'Confirm and save a location from a ZIP code or a state with optional county/city',
+        body: object({
+            zip: { type: 'string', pattern: '^\\d{5}(-\\d{4})?$', errorMessage: 'must be a 5-digit ZIP code', description: 'Takes precedence over state' },
+            state: { type: 'string', maxLength: 50, description: 'Two-letter code or full name' },
+            county: { type: 'string', maxLength: 60 },
+            city: { type: 'string', maxLength: 60 },
+            source: { type: 'string', enum: ['manual', 'ip'], description: 'ip when the user confirmed an IP suggestion' }
+        })
+    },
+    'DELETE /api/location': {
+        tag: 'Location',
+        summary: 'Forget the saved location'
+    },
+    'POST /api/location/detect': {
+        tag: 'Location',
+        summary: 'Suggest a location from the offline IP range database, if the server has one',
+        body: { type: 'object' }
+    },
+
+    // Conversations
+    'GET /api/conversations': {
+        tag: 'Conversations',
+        summary: 'Conversation threads, most recent first'
+    },
+    'GET /api/conversations/:id': {
+        tag: 'Conversations',
+        summary: 'One conversation thread with its check-in',
+        params: idParam('id')
+    },
+
+    // Trends
+    'GET /api/insights/trends': {
+        tag: 'Insights',
+        summary: 'Per-dimension time series, averages, streaks, volatility and co-movement',
+        query: object({
+            from: dateOnly,
+            to: dateOnly,
+            days: { type: 'integer', minimum: 1, maximum: 3650, description: 'Last N days (ignored when from is given)' }
+        })
+    },
+
+    // History export and import
+    'GET /api/history/export': {
+        tag: 'History',
+        summary: 'Export check-in history as a JSON backup, CSV or printable HTML report',
+        query: object({
+            format: { type: 'string', enum: ['json', 'csv', 'html'] },
+            from: dateOnly,
+            to: dateOnly,
+            includeContext: { type: 'boolean', description: 'Include free-text context and conversations' }
+        })
+    },
+    'POST /api/history/import': {
+        tag: 'History',
+        summary: 'Merge a JSON backup into the check-in history',
+        body: {
+            type: 'object',
+            properties: {
+                format: { type: 'string', enum: ['vybin-history'] },
+                version: { type: 'integer', enum: [1] },
+                checkins: { type: 'array', maxItems: 5000, items: { type: 'object' } }
+            },
+            required: ['format', 'version', 'checkins']
+        }
+    },
+
+    // Access log
+    'GET /api/audit': {
+        tag: 'Audit',
+        summary: 'Who viewed, exported or imported your check-ins, newest first',
+        query: object({
+            limit: { type: 'integer', minimum: 1, maximum: 200 },
+            offset: { type: 'integer', minimum: 0 }
+        })
+    },
+
+    // Instruments and screeners
+    'GET /api/instruments': {
+        tag: 'Instruments',
+        summary: 'Dimensions, rating scale and thresholds for the check-in, the enabled screeners and which are due'
+    },
+    'GET /api/instruments/screeners/responses': {
+        tag: 'Instruments',
+        summary: 'Your scored screener answers, newest first',
+        query: object({
+            screener: { type: 'string', maxLength: 32, description: 'Only this screener' }
+        })
+    },
+    'POST /api/instruments/screeners/:id/responses': {
+        tag: 'Instruments',
+        summary: 'Answer a screener; the server scores it and returns the result',
+        params: idParam('id'),
+        body: object({
+            answers: {
+                type: 'object',
+                description: 'The chosen option value for every item, keyed by item id',
+                additionalProperties: { type: 'integer' },
+                maxProperties: 50
+            },
+            checkinId: { ...id, description: 'The check-in this was answered alongside' }
+        }, ['answers'])
+    },
+
+    // Reminders and web push
+    'GET /api/reminders': {
+        tag: 'Reminders',
+        summary: 'Reminder settings, the VAPID public key and how many browsers are subscribed'
+    },
+    'PUT /api/reminders': {
+        tag: 'Reminders',
+        summary: 'Change reminder time, timezone, quiet hours or the missed-days nudge',
+        body: {
+            ...object({
+                enabled: { type: 'boolean' },
+                time: clockTime,
+                timeZone: { type: 'string', minLength: 1, maxLength: 64, description: 'IANA timezone, e.g. America/Chicago' },
+                quietHours: {
+                    ...object({ start: clockTime, end: clockTime }, ['start', 'end']),
+                    nullable: true,
+                    description: 'No reminders between start and end (may wrap past midnight); null turns quiet hours off'
+                },
+                nudgeAfterMissedDays: {
+                    type: 'integer',
+                    minimum: 0,
+                    maximum: 30,
+                    description: 'Switch to a gentle nudge every N days after N days without a check-in; 0 keeps daily reminders'
+                }
+            }),
+            minProperties: 1
+        }
+    },
+    'POST /api/reminders/subscriptions': {
+        tag: 'Reminders',
+        summary: "Register this browser's push subscription (PushSubscription.toJSON())",
+        body: object({
+            endpoint: {
+                type: 'string',
+                pattern: ENDPOINT_PATTERN,
+                maxLength: 2000,
+                errorMessage: 'must be the https push service URL from the subscription'
+            },
+            expirationTime: { type: 'number', nullable: true },
+            keys: object({
+                p256dh: { type: 'string', pattern: '^[A-Za-z0-9_-]{80,100}$', errorMessage: 'must be the base64url P-256 public key' },
+                auth: { type: 'string', pattern: '^[A-Za-z0-9_-]{16,30}$', errorMessage: 'must be the base64url auth secret' }
+            }, ['p256dh', 'auth'])
+        }, ['endpoint', 'keys'])
+    },
+    'DELETE /api/reminders/subscriptions': {
+        tag: 'Reminders',
+        summary: "Forget this browser's push subscription",
+        body: object({ endpoint: { type: 'string', minLength: 1, maxLength: 2000 } }, ['endpoint'])
+    },
+    'POST /api/reminders/test': {
+        tag: 'Reminders',
+        summary: 'Send a test notification to every subscribed browser'
+    },
+
+    // Plans and billing
+    'GET /api/billing/entitlements': {
+        tag: 'Billing',
+        summary: 'Plan, limits and remaining quota',
+        query: object({ checkinId: id })
+    },
+    'POST /api/billing/checkout': {
+        tag: 'Billing',
+        summary: 'Start an upgrade checkout',
+        body: object({ plan: { type: 'string', enum: ['premium'] } })
+    },
+    'POST /api/billing/checkout/:sessionId/complete': {
+        tag: 'Billing',
+        summary: 'Confirm a checkout (stands in for the payment provider callback)',
+        params: idParam('sessionId')
+    },
+    'POST /api/billing/cancel': {
+        tag: 'Billing',
+        summary: 'Cancel the premium subscription'
+    },
+
+    // Admin
+    'GET /api/admin/resources': {
+        tag: 'Admin',
+        summary: 'The full resource directory (bundled and imported entries)',
+        admin: true
+    },
+    'POST /api/admin/resources/import': {
+        tag: 'Admin',
+        summary: 'Add or update resource directory entries from CSV',
+        admin: true,
+        contentType: 'text/csv',
+        query: object({ replace: { type: 'boolean', description: 'Clear previously imported entries first' } }),
+        body: {
+            type: 'string',
+            minLength: 1,
+            errorMessage: 'must be the directory as CSV text (Content-Type: text/csv)',
+            description: 'Columns: id,name,description,url,phone,text,icon,scope,state,city,dimensions,tags,languages plus optional translations like name_es,description_es,text_es,url_es'
+        }
+    },
+    'POST /api/admin/reminders/run': {
+        tag: 'Admin',
+        summary: 'Run one reminder scheduler pass now, optionally as if it were another time',
+        admin: true,
+        body: object({ now: { type: 'string', format: 'date-time', description: 'Defaults to the current time' } })
+    },
+    'POST /api/admin/digests/run': {
+        tag: 'Admin',
+        summary: 'Write any missing weekly digests for the week before `now`, optionally for one user',
+        admin: true,
+        body: object({
+            now: { type: 'string', format: 'date-time', description: 'Defaults to the current time' },
+            userId: id
+        })
+    },
+    'GET /api/admin/diagnostics': {
+        tag: 'Admin',
+        summary: 'Server health, store sizes and cross-user data integrity checks (no user content)',
+        admin: true
+    },
+    'GET /api/admin/diagnostics/users/:id': {
+        tag: 'Admin',
+        summary: "Counts and integrity checks for one account; recorded in that user's access log",
+        admin: true,
+        params: idParam('id')
+    },
+    'GET /api/admin/usage': {
+        tag: 'Admin',
+        summary: 'AI requests, tokens and estimated cost by route, day and user, with each user\'s token budget',
+        admin: true,
+        query: object({
+            from: { ...dateOnly, description: 'YYYY-MM-DD, default the first of this month' },
+            to: { ...dateOnly, description: 'YYYY-MM-DD, default today' },
+            userId: id,
+            limit: { type: 'integer', minimum: 1, maximum: 500, description: 'How many users to list, heaviest first (default 50)' }
+        })
+    },
+    'GET /api/admin/prompts/self-check': {
+        tag: 'Admin',
+        summary: 'Active prompt template versions and the prompt-injection self-check results',
+        admin: true
+    }
+};
+
+module.exports = { DIMENSIONS, ROUTES };
@@ -0,0 +1,96 @@
+// lib/screeners.js - VYBIN screener scoring and responses
+//
+// Screeners are the optional validated questionnaires switched on in the
+// instruments config (see instruments.js). The client sends which option was
+// picked for each item; the total, the band and what to tell the user are
+// worked out here so a modified client can't change a result. Each screener
+// is offered again once its frequencyDays have passed since the last answer.
+// Results are worded in the locale the user reads them in, not the one they
+// answered in.
+const { getCollection } = require('./store');
+const { screeners, getScreener, localizeScreener } = require('./instruments');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+const responses = getCollection('screener_responses');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// { score, band } or { details } listing every item that was missing or invalid
+function scoreScreener(screener, answers) {
+    const values = screener.options.map(o => o.value);
+    const details = [];
+
+    for (const item of screener.items) {
+        const answer = answers[item.id];
+        if (answer === undefined) {
+            details.push({ field: `answers.${item.id}`, message: 'is required' });
+        } else if (!values.includes(answer)) {
+            details.push({ field: `answers.${item.id}`, message: `must be one of ${values.join(', ')}` });
+        }
+    }
+    for (const key of Object.keys(answers)) {
+        if (!screener.items.some(item => item.id === key)) {
+            details.push({ field: `answers.${key}`, message: `is not a question in ${screener.name}` });
+        }
+    }
+    if (details.length > 0) return { details };
+
+    const score = screener.items.reduce((total, item) => total + answers[item.id], 0);
+    const band = screener.bands.find(b => score >= b.min && score <= b.max);
+    return { score, band };
+}
+
+function toPublicResponse(response, locale = DEFAULT_LOCALE) {
+    const screener = getScreener(response.screenerId);
+    const band = screener && localizeScreener(screener, locale).bands.find(b => b.id === response.band);
+    return {
+        id: response.id,
+        screenerId: response.screenerId,
+        name: screener ? screener.name : response.screenerId,
+        score: response.score,
+        maxScore: response.maxScore,
+        band: response.band,
+        message: band ? band.message : null,
+        checkinId: response.checkinId,
+        answeredAt: response.createdAt
+    };
+}
+
+function recordResponse(userId, screenerId, answers, { checkinId = null, locale } = {}) {
+    const screener = getScreener(screenerId);
+    if (!screener) return { notFound: true };
+
+    const result = scoreScreener(screener, answers);
+    if (result.details) return result;
+
+    const response = responses.insert({
+        userId,
+        screenerId,
+        answers,
+        score: result.score,
+        maxScore: Math.max(...screener.options.map(o => o.value)) * screener.items.length,
+        band: result.band.id,
+        checkinId
+    });
+    return { response: toPublicResponse(response, locale) };
+}
+
+// Newest first
+function listResponses(userId, { screenerId, locale } = {}) {
+    return responses
+        .find(r => r.userId === userId && (!screenerId || r.screenerId === screenerId))
+        .reverse()
+        .map(response => toPublicResponse(response, locale));
+}
+
+// Ids of the enabled screeners this user hasn't answered within their frequency
+function dueScreeners(userId, now = Date.now()) {
+    return screeners
+        .filter(screener => {
+            const last = responses.find(r => r.userId === userId && r.screenerId === screener.id).pop();
+            return !last || now - Date.parse(last.createdAt) >= screener.frequencyDays * DAY_MS;
+        })
+        .map(screener => screener.id);
+}
+
+module.exports = { scoreScreener, recordResponse, listResponses, dueScreeners };
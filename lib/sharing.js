@@ -0,0 +1,273 @@
+// lib/sharing.js - VYBIN consent-based sharing with a supporter
+//
+// A user invites a peer-support specialist or clinician by email and decides
+// what they may see: which dimensions, and whether the words typed with each
+// check-in come along. The invite link carries a one-time token (only its
+// sha256 is stored); whoever opens it and signs in becomes the supporter.
+// Supporters get a read-only view - trends for the shared dimensions and the
+// check-ins where one of them was rated at or below the concern threshold.
+// The user can narrow what is shared or revoke it at any time, and it takes
+// effect on the supporter's next request.
+const crypto = require('crypto');
+const { getCollection } = require('./store');
+const { buildTrends } = require('./insights');
+const { DIMENSIONS, dimensionLabel, isConcern } = require('./instruments');
+const { sendMail } = require('./mail');
+
+const shares = getCollection('shares');
+const checkins = getCollection('checkins');
+const users = getCollection('users');
+
+const SHARE_ROLES = {
+    peer_supporter: 'Peer-support specialist',
+    clinician: 'Clinician'
+};
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_OPEN_SHARES = 10; // Pending and active together
+const MAX_FLAGGED = 50;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function usernameOf(userId) {
+    const user = userId && users.get(userId);
+    return user ? user.username : null;
+}
+
+// Dimensions from a config change that are no longer asked about drop out
+function allowedDimensions(dimensions) {
+    return [...new Set(dimensions)].filter(d => DIMENSIONS.includes(d));
+}
+
+function statusOf(share) {
+    if (share.status === 'pending' && Date.parse(share.inviteExpiresAt) < Date.now()) return 'expired';
+    return share.status;
+}
+
+// What the user sees about a share they created
+function toPublicShare(share) {
+    return {
+        id: share.id,
+        email: share.inviteEmail,
+        role: share.role,
+        roleLabel: SHARE_ROLES[share.role],
+        supporter: usernameOf(share.supporterId),
+        dimensions: share.dimensions,
+        includeContext: share.includeContext,
+        status: statusOf(share),
+        inviteExpiresAt: share.status === 'pending' ? share.inviteExpiresAt : null,
+        acceptedAt: share.acceptedAt,
+        revokedAt: share.revokedAt,
+        createdAt: share.createdAt,
+        updatedAt: share.updatedAt || share.createdAt
+    };
+}
+
+// What the supporter sees about a share they were given
+function toSharedWithMe(share) {
+    return {
+        id: share.id,
+        owner: usernameOf(share.ownerId),
+        role: share.role,
+        roleLabel: SHARE_ROLES[share.role],
+        dimensions: share.dimensions.map(d => ({ id: d, label: dimensionLabel(d) })),
+        includeContext: share.includeContext,
+        acceptedAt: share.acceptedAt
+    };
+}
+
+function findOwnShare(ownerId, id) {
+    const share = shares.get(id);
+    return share && share.ownerId === ownerId ? share : null;
+}
+
+// Newest first; revoked and expired ones stay listed so the user can see who had access
+function listShares(ownerId) {
+    return shares.find(s => s.ownerId === ownerId).reverse().map(toPublicShare);
+}
+
+function inviteText({ ownerName, role, dimensions, includeContext, link }) {
+    return [
+        `${ownerName} has invited you to follow their VYBIN wellness check-ins as their ${SHARE_ROLES[role].toLowerCase()}.`,
+        '',
+        `You'll be able to see: ${dimensions.map(dimensionLabel).join(', ')}.`,
+        includeContext ?
+            'They have also chosen to share what they write with each check-in.' :
+            'What they write with each check-in stays private - you will only see ratings.',
+        'Access is read-only, every view is recorded in their account, and they can stop sharing at any time.',
+        '',
+        `To accept, open this link and sign in (or create an account) within 7 days:`,
+        link,
+        '',
+        "If you weren't expecting this, you can ignore this email."
+    ].join('\n');
+}
+
+// baseUrl is where the invite link should point (publicBaseUrl() in lib/mail).
+// Resolves to { share }, { error } or { mailFailed } - a share whose email
+// could not be sent is removed so it can't be accepted by anyone
+async function createInvite(ownerId, { email, role, dimensions, includeContext = false, baseUrl }) {
+    const open = shares.find(s => s.ownerId === ownerId && ['pending', 'active'].includes(statusOf(s))).length;
+    if (open >= MAX_OPEN_SHARES) {
+        return { error: `You can share with up to ${MAX_OPEN_SHARES} people at once - revoke one first` };
+    }
+
+    const shared = allowedDimensions(dimensions);
+    if (shared.length === 0) {
+        return { error: 'Choose at least one dimension to share' };
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = shares.insert({
+        ownerId,
+        inviteEmail: email.trim().toLowerCase(),
+        role,
+        supporterId: null,
+        dimensions: shared,
+        includeContext,
+        status: 'pending',
+        inviteTokenHash: hashToken(token),
+        inviteExpiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString(),
+        acceptedAt: null,
+        revokedAt: null
+    });
+
+    try {
+        await sendMail({
+            to: share.inviteEmail,
+            subject: `${usernameOf(ownerId)} invited you to VYBIN`,
+            text: inviteText({
+                ownerName: usernameOf(ownerId),
+                role,
+                dimensions: shared,
+                includeContext,
+                link: `${baseUrl}/?invite=${token}`
+            })
+        });
+    } catch (error) {
+        shares.remove(share.id);
+        return { mailFailed: true, error };
+    }
+    return { share: toPublicShare(share) };
+}
+
+function updateShare(ownerId, id, { dimensions, includeContext }) {
+    const share = findOwnShare(ownerId, id);
+    if (!share) return { notFound: true };
+    if (share.status === 'revoked') {
+        return { error: 'This share was revoked - send a new invitation instead' };
+    }
+
+    const changes = {};
+    if (dimensions !== undefined) {
+        changes.dimensions = allowedDimensions(dimensions);
+        if (changes.dimensions.length === 0) {
+            return { error: 'Choose at least one dimension to share, or revoke access instead' };
+        }
+    }
+    if (includeContext !== undefined) changes.includeContext = includeContext;
+    return { share: toPublicShare(shares.update(id, changes)) };
+}
+
+// Works on pending invites too: the link stops working straight away
+function revokeShare(ownerId, id) {
+    const share = findOwnShare(ownerId, id);
+    if (!share) return { notFound: true };
+    if (share.status === 'revoked') return { share: toPublicShare(share) };
+
+    return {
+        share: toPublicShare(shares.update(id, { status: 'revoked', revokedAt: now(), inviteTokenHash: null }))
+    };
+}
+
+// The token works once; accepting clears it. ownerId is for the audit trail
+function acceptInvite(userId, token) {
+    const share = shares.findOne(s => s.inviteTokenHash && s.inviteTokenHash === hashToken(token));
+    if (!share || share.status !== 'pending') return { notFound: true };
+    if (statusOf(share) === 'expired') {
+        return { error: 'This invitation has expired - ask them to send a new one' };
+    }
+    if (share.ownerId === userId) {
+        return { error: "This is your own invitation - it's for the person you're sharing with" };
+    }
+    if (shares.findOne(s => s.ownerId === share.ownerId && s.supporterId === userId && s.status === 'active')) {
+        return { error: 'You already have access to this person\'s check-ins - they can change what is shared from their side' };
+    }
+
+    const accepted = shares.update(share.id, {
+        status: 'active',
+        supporterId: userId,
+        acceptedAt: now(),
+        inviteTokenHash: null
+    });
+    return { share: toSharedWithMe(accepted), ownerId: accepted.ownerId };
+}
+
+function listSharedWithMe(supporterId) {
+    return shares.find(s => s.supporterId === supporterId && s.status === 'active').reverse().map(toSharedWithMe);
+}
+
+// The active share this supporter was given, or null (revoked or not theirs)
+function getActiveShare(supporterId, id) {
+    const share = shares.get(id);
+    return share && share.supporterId === supporterId && share.status === 'active' ? share : null;
+}
+
+// The supporter's read-only view. Ratings outside the shared dimensions are
+// stripped before anything is computed, so averages and co-movement can't
+// leak them; check-ins with no shared ratings are left out entirely.
+// checkinIds lists every check-in the view was built from, for the audit trail.
+function getSharedView(supporterId, id, { from, to } = {}) {
+    const share = getActiveShare(supporterId, id);
+    if (!share) return null;
+
+    const visible = checkins
+        .find(c => c.userId === share.ownerId)
+        .map(c => ({
+            ...c,
+            ratings: Object.fromEntries(Object.entries(c.ratings).filter(([dimension]) => share.dimensions.includes(dimension)))
+        }))
+        .filter(c => Object.keys(c.ratings).length > 0);
+
+    const trends = buildTrends(visible, { from, to });
+    const inRange = visible
+        .filter(c => (!from || c.dateOnly >= from) && (!to || c.dateOnly <= to))
+        .sort((a, b) => b.timestamp - a.timestamp);
+
+    const flagged = inRange
+        .map(c => ({
+            date: c.date,
+            dateOnly: c.dateOnly,
+            low: Object.entries(c.ratings)
+                .filter(([, rating]) => isConcern(rating))
+                .map(([dimension, rating]) => ({ dimension, label: dimensionLabel(dimension), rating })),
+            ...(share.includeContext ? { context: c.context || '' } : {})
+        }))
+        .filter(entry => entry.low.length > 0)
+        .slice(0, MAX_FLAGGED);
+
+    return {
+        share: toSharedWithMe(share),
+        ownerId: share.ownerId,
+        trends,
+        flagged,
+        checkinIds: inRange.map(c => c.id)
+    };
+}
+
+module.exports = {
+    SHARE_ROLES,
+    listShares,
+    createInvite,
+    updateShare,
+    revokeShare,
+    acceptInvite,
+    listSharedWithMe,
+    getActiveShare,
+    getSharedView
+};
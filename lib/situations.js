@@ -0,0 +1,356 @@
+// lib/situations.js - VYBIN life-situation classifier
+//
+// Reads what the user wrote alongside their ratings and decides which life
+// situations they are dealing with (job loss, housing, food, grief...). Each
+// situation maps to resource directory tags. Signals are whole-word patterns
+// with a weight; negated mentions ("not worried about money") are ignored,
+// several signals add up, and ratings for the situation's dimensions raise or
+// lower the final confidence.
+//
+// Signals are in English and Spanish; both are checked whatever the user's
+// locale. Accented letters aren't \w to these patterns, so Spanish signals
+// that end in one have no closing \b.
+//
+// Body weight and eating are deliberately classified as eating/body-image
+// concerns and routed to supportive resources - never to weight-loss programs.
+const { SCALE, isConcern, isStrength } = require('./instruments');
+
+const TAXONOMY = [
+    {
+        id: 'unemployment',
+        label: 'Job loss or job search',
+        dimensions: ['occupational', 'financial'],
+        tags: ['unemployment', 'job-search'],
+        signals: [
+            [/\b(lost|losing|lose) (my |our |his |her |a )?(job|work)\b/, 0.8],
+            [/\bunemploy(ed|ment)\b/, 0.8],
+            [/\b(laid off|got fired|been fired|was fired|let me go)\b/, 0.75],
+            [/\b(job (hunt|hunting|search|searching|applications?|interviews?)|looking for (a )?(new )?(job|work))\b/, 0.6],
+            [/\b(out of work|between jobs)\b/, 0.7],
+            [/\b(hours|shifts) (got |were |have been )?cut\b/, 0.5],
+            [/\b(perdí|perdió|perdimos|perder) (mi |el |su |nuestro )?(trabajo|empleo|chamba)\b/, 0.8],
+            [/\b(desemplead[oa]s?|desempleo|sin (trabajo|empleo))\b/, 0.8],
+            [/\b(me despidieron|me corrieron|lo despidieron|la despidieron)\b/, 0.75],
+            [/\b(buscando|busco) (un |otro )?(trabajo|empleo)\b/, 0.6],
+            [/\bme (recortaron|redujeron|quitaron) (las )?horas\b/, 0.5]
+        ]
+    },
+    {
+        id: 'work-stress',
+        label: 'Stress at work',
+        dimensions: ['occupational', 'emotional'],
+        tags: ['mental-health'],
+        signals: [
+            [/\bburn(ed|t)?[ -]?out\b/, 0.6],
+            [/\b(hate|stressed at|stress at|toxic) (my )?(job|work|workplace)\b/, 0.6],
+            [/\b(my )?(boss|manager|co-?workers?)\b/, 0.35],
+            [/\b(workload|overworked|deadlines?)\b/, 0.4],
+            [/\b(agotad[oa] (por|del|con el) trabajo|quemad[oa] en el trabajo|estrés (en el|del) trabajo|odio mi trabajo)\b/, 0.6],
+            [/\b(mi )?(jefe|jefa|compañeros de trabajo)\b/, 0.35],
+            [/\b(demasiado trabajo|carga de trabajo|fechas? de entrega)\b/, 0.4]
+        ]
+    },
+    {
+        id: 'financial-hardship',
+        label: 'Money worries',
+        dimensions: ['financial'],
+        tags: ['financial-assistance', 'benefits'],
+        signals: [
+            [/\b(can'?t|cannot|couldn'?t|unable to) (afford|pay)\b/, 0.7],
+            [/\b(broke|paycheck to paycheck|behind on (my )?(payments|bills))\b/, 0.65],
+            [/\b(money('s| is)? tight|tight on money|short on (money|cash)|struggling financially)\b/, 0.6],
+            [/\b(bills?|debts?|loans?|credit cards?|overdra(ft|wn)|collections)\b/, 0.45],
+            [/\b(money|finances|financial(ly)?)\b/, 0.35],
+            [/\bno (me )?alcanza (el dinero|para pagar|para nada)|\bno (puedo|podemos) pagar\b/, 0.7],
+            [/\b(atrasad[oa] (con|en) (los )?pagos|de quincena en quincena|sin dinero|sin un peso)\b/, 0.65],
+            [/\b(facturas|cuentas por pagar|deudas?|préstamos?|tarjetas? de crédito)\b/, 0.45],
+            [/\b(dinero|finanzas|económic[oa]s?)\b/, 0.35]
+        ]
+    },
+    {
+        id: 'housing',
+        label: 'Housing or homelessness',
+        dimensions: ['environmental', 'financial'],
+        tags: ['housing', 'homelessness'],
+        signals: [
+            [/\b(evict(ed|ion)?|homeless(ness)?)\b/, 0.85],
+            [/\b(sleeping in (my|the|a) car|couch[ -]?surfing|nowhere to (live|stay|sleep)|shelter)\b/, 0.8],
+            [/\b(behind on|can'?t pay|late on|can'?t make) (the |my |our )?rent\b/, 0.75],
+            [/\brent\b/, 0.4],
+            [/\b(landlord|lease)\b/, 0.35],
+            [/\b(desalojo|desalojad[oa]s?|me van a desalojar|sin hogar|sin casa|en la calle)\b/, 0.85],
+            [/\b(durmiendo en (mi|el) (carro|coche|auto)|no tengo (dónde|donde) (vivir|quedarme|dormir)|albergue|refugio)\b/, 0.8],
+            [/\b(atrasad[oa] con|no puedo pagar|debo) (la |el )?(renta|alquiler)\b/, 0.75],
+            [/\b(renta|alquiler)\b/, 0.4],
+            [/\b(casero|dueño de la casa|contrato de arrendamiento)\b/, 0.35]
+        ]
+    },
+    {
+        id: 'food',
+        label: 'Not enough food',
+        dimensions: ['physical', 'financial'],
+        tags: ['food'],
+        signals: [
+            [/\b((no|not enough|out of) (food|groceries)|nothing to eat|can'?t afford (food|groceries))\b/, 0.8],
+            [/\b(food (bank|pantry|stamps)|snap benefits|ebt)\b/, 0.7],
+            [/\bskip(ping|ped)? meals\b/, 0.6],
+            [/\bhungry\b/, 0.45],
+            [/\b(no (tengo|tenemos|hay) (nada de )?comida|no (tengo|tenemos) (nada )?(que|qué) comer|no alcanza para (la )?comida)\b/, 0.8],
+            [/\b(banco de (alimentos|comida)|despensa de alimentos|estampillas de comida|cupones de alimentos)\b/, 0.7],
+            [/\b(saltarme|me salto|me salté) (las |algunas )?comidas\b/, 0.6],
+            [/\b(tengo|tenemos|pasando) hambre\b/, 0.45]
+        ]
+    },
+    {
+        id: 'utilities',
+        label: 'Utility bills or shutoffs',
+        dimensions: ['environmental', 'financial'],
+        tags: ['utilities'],
+        signals: [
+            [/\b(power|heat|electricity|water|gas) (got |was |is |has been )?(shut|cut|turned) off\b/, 0.85],
+            [/\b(shut|shutting|cut|cutting|turn|turning) off (our |my |the )?(power|heat|electricity|water|gas)\b/, 0.8],
+            [/\b(electric(ity)?|power|gas|water|heating|utility|utilities) (bills?|shut-?offs?|disconnect(ed|ion)?)\b/, 0.7],
+            [/\bnos (cortaron|quitaron) (la luz|el agua|el gas|la calefacción)/, 0.85],
+            [/\b(recibo|factura|cuenta) de (la luz|luz|electricidad|agua|gas)\b/, 0.7]
+        ]
+    },
+    {
+        id: 'disaster',
+        label: 'Storm, fire or disaster',
+        dimensions: ['environmental'],
+        tags: ['disaster'],
+        signals: [
+            [/\b(hurricane|tornado|wildfire|earthquake|evacuat(e|ed|ion)|disaster)\b/, 0.75],
+            [/\b(flood(ed|ing)?|storm damage|house fire|lost (our|my) (house|home) (in|to) (a |the )?(fire|flood|storm))\b/, 0.7],
+            [/\bstorms?\b/, 0.4],
+            [/\b(huracán|tornado|incendio forestal|terremoto|evacua(r|ción|mos|ron)|desastre)/, 0.75],
+            [/\b(inundación|inundad[oa]|se inundó|se quemó (mi|nuestra) casa)/, 0.7],
+            [/\btormentas?\b/, 0.4]
+        ]
+    },
+    {
+        id: 'health',
+        label: 'Physical health or medical care',
+        dimensions: ['physical'],
+        tags: ['healthcare', 'insurance'],
+        signals: [
+            [/\b(no|lost( my)?|can'?t afford( my)?) (health )?insurance\b/, 0.7],
+            [/\b(diagnos(is|ed)|surgery|hospital(ized)?|chronic|injur(y|ed)|illness)\b/, 0.55],
+            [/\b(sick|pain|symptoms?|migraines?)\b/, 0.4],
+            [/\b(doctor|medical|medications?|prescriptions?|clinic)\b/, 0.4],
+            [/\b(no tengo|perdí (mi|el)|no puedo pagar (el|mi)) seguro( médico)?\b/, 0.7],
+            [/\b(diagnóstico|diagnosticad[oa]|cirugía|hospital(izad[oa])?|crónic[oa]|lesión|enfermedad)/, 0.55],
+            [/\b(enferm[oa]|dolor(es)?|síntomas?|migrañas?)/, 0.4],
+            [/\b(médic[oa]|doctor(a)?|medicinas?|medicamentos?|recetas?|clínica)/, 0.4]
+        ]
+    },
+    {
+        id: 'eating-and-body-image',
+        label: 'Eating or body image',
+        dimensions: ['physical', 'emotional'],
+        tags: ['eating-disorders', 'mental-health'],
+        signals: [
+            [/\b(binge|binging|bingeing|purg(e|ed|ing)|stopped eating|not eating|restrict(ing)? (food|calories|eating)|eating disorder|anorexi\w*|bulimi\w*)\b/, 0.75],
+            [/\b(weight|fat|body image|hate my body|my body)\b/, 0.35],
+            [/\b(atracones?|purgarme|vomitar después de comer|dejé de comer|no estoy comiendo|trastorno alimenticio|trastorno de la alimentación|anorexi\w*|bulimi\w*)\b/, 0.75],
+            [/\b(mi peso|gord[oa]|odio mi cuerpo|mi cuerpo|imagen corporal)\b/, 0.35]
+        ]
+    },
+    {
+        id: 'emotional-distress',
+        label: 'Stress, anxiety or low mood',
+        dimensions: ['emotional'],
+        tags: ['mental-health', 'support-groups'],
+        signals: [
+            [/\b(anxi(ety|ous)|panic( attacks?)?|depress(ed|ion|ing)?)\b/, 0.6],
+            [/\b(stress(ed|ful)?|overwhelm(ed|ing)?)\b/, 0.4],
+            [/\b(can'?t sleep|insomnia|crying|hopeless)\b/, 0.45],
+            [/\b(ansiedad|ansios[oa]|ataques? de pánico|pánico|deprimid[oa]|depresión)/, 0.6],
+            [/\b(estresad[oa]|estrés|abrumad[oa])/, 0.4],
+            [/\b(no puedo dormir|insomnio|llorando|lloro mucho|sin esperanza)\b/, 0.45]
+        ]
+    },
+    {
+        id: 'loneliness',
+        label: 'Loneliness',
+        dimensions: ['social'],
+        tags: ['loneliness', 'support-groups'],
+        signals: [
+            [/\b(lonely|loneliness|isolated|isolation)\b/, 0.7],
+            [/\b((no one|nobody|no friends) to talk to|all alone|no friends)\b/, 0.6],
+            [/\b(me siento (muy |tan )?sol[oa]|soledad|aislad[oa]|aislamiento)\b/, 0.7],
+            [/\b((no tengo a )?nadie con quien hablar|no tengo amigos|completamente sol[oa])\b/, 0.6]
+        ]
+    },
+    {
+        id: 'relationship-safety',
+        label: 'Safety in a relationship',
+        dimensions: ['social', 'emotional', 'environmental'],
+        tags: ['domestic-violence'],
+        signals: [
+            [/\b((not safe|unsafe) at home|afraid of (my )?(partner|husband|wife|boyfriend|girlfriend))\b/, 0.85],
+            [/\b(abus(e|ed|ive)|(he|she|they|partner|husband|wife|boyfriend|girlfriend) (hits|hit|beats|hurts|hurt|threatens|threatened) me)\b/, 0.7],
+            [/\bcontrolling\b/, 0.35],
+            [/\b(no estoy segur[oa] en (mi )?casa|miedo (de|a) mi (pareja|esposo|esposa|novio|novia))\b/, 0.85],
+            [/\b(abuso|abusiv[oa]|maltrato|me (pega|golpea|golpeó|lastima|amenaza|amenazó))\b/, 0.7],
+            [/\bcontrolador(a)?\b/, 0.35]
+        ]
+    },
+    {
+        id: 'grief',
+        label: 'Grief and loss',
+        dimensions: ['emotional', 'social'],
+        tags: ['mental-health', 'support-groups'],
+        signals: [
+            [/\blost my (mom|mother|dad|father|husband|wife|partner|son|daughter|child|baby|brother|sister|friend|grandma|grandmother|grandpa|grandfather|dog|cat|pet)\b/, 0.75],
+            [/\b(passed away|died|funeral|grie(f|ving)|bereave\w*|miscarriage)\b/, 0.7],
+            [/\b(perdí a|murió|falleció|se murió) (mi |nuestro |nuestra )?(mamá|madre|papá|padre|esposo|esposa|pareja|hijo|hija|bebé|hermano|hermana|amig[oa]|abuela|abuelo|perro|gato|mascota)/, 0.75],
+            [/\b(falleció|murió|funeral|velorio|duelo|de luto|aborto espontáneo)/, 0.7]
+        ]
+    },
+    {
+        id: 'substance-use',
+        label: 'Alcohol or drug use',
+        dimensions: ['physical', 'emotional'],
+        tags: ['substance-use'],
+        signals: [
+            [/\b(drinking (too much|again|a lot|every (day|night))|relaps(e|ed|ing)|addict(ed|ion)?|using again|overdos(e|ed)|withdrawal)\b/, 0.75],
+            [/\b(sober|sobriety)\b/, 0.5],
+            [/\b(alcohol|drugs|opioids?)\b/, 0.35],
+            [/\b(bebiendo (demasiado|otra vez|todos los días|todas las noches)|recaída|recaí|adicción|adict[oa]|consumiendo otra vez|abstinencia)/, 0.75],
+            [/\b(sobrio|sobria|sobriedad)\b/, 0.5],
+            [/\b(alcohol|drogas|opioides?)\b/, 0.35]
+        ]
+    },
+    {
+        id: 'spiritual',
+        label: 'Faith and meaning',
+        dimensions: ['spiritual'],
+        tags: ['spiritual'],
+        signals: [
+            [/\b((meaning|purpose) (in|of) (my )?life|lost my (faith|purpose))\b/, 0.6],
+            [/\b(faith|church|rabbi|pastor|priest|imam|mosque|synagogue|temple|pray(ing|er|ers)?|spiritual(ity)?)\b/, 0.5],
+            [/\b((sentido|propósito) (de|en) (mi )?vida|perdí (mi|la) (fe|propósito))/, 0.6],
+            [/\b(fe|iglesia|pastor|sacerdote|padre de la iglesia|mezquita|sinagoga|templo|rezar|rezando|oración|oraciones|espiritual(idad)?)\b/, 0.5]
+        ]
+    },
+    {
+        id: 'education',
+        label: 'School and learning',
+        dimensions: ['intellectual', 'occupational'],
+        tags: ['education'],
+        signals: [
+            [/\b(ged|diploma|degree|tuition|dropp(ed|ing) out)\b/, 0.55],
+            [/\b(school|college|classes|exams?|studying)\b/, 0.4],
+            [/\b(diploma|título|colegiatura|matrícula|dejé la escuela|dejar la escuela)/, 0.55],
+            [/\b(escuela|universidad|clases|exámenes|examen|estudiando)/, 0.4]
+        ]
+    }
+];
+
+// A situation's tags are used for the resource search at or above this confidence
+const MIN_CONFIDENCE = 0.4;
+
+// "not worried about money", "never had trouble with rent", "nothing about my job",
+// "nunca he tenido problemas con la renta". Spanish "no" alone isn't a negation
+// here: "no tengo trabajo" is the problem itself.
+const NEGATION_BEFORE = /\b(not|never|no longer|isn'?t|aren'?t|wasn'?t|nothing|nunca|jamás|nada de)(?![\wáéíóúñ])(\s+\S+){0,3}\s*$/;
+const NO_PROBLEM_BEFORE = /\bno (real )?(problems?|issues?|worries|trouble|concerns?|stress) (with|about|around)\s+(my |the |our )?$|\b(no me preocupan?|sin (problemas?|preocupaciones) (con|de|por)|ningún problema (con|de)|(nunca|jamás) (he tenido|hemos tenido|tuve|tuvimos) (problemas?|dificultades) (con|de|para pagar)) (el |la |los |las |mi |mis |nuestr[oa] )?$/;
+// "money is fine", "rent isn't a problem", "el dinero está bien", "la renta no es problema"
+const NEGATION_AFTER = /^\s*(\S+\s+){0,2}?(is|are|was|has been|have been|seems?|feels?)\s+(fine|ok|okay|good|great|stable|covered|under control|not (a |an )?(problem|issue|concern|worry))\b|^\s*(\S+\s+){0,2}?(isn'?t|aren'?t|wasn'?t) (a |an )?(problem|issue|concern|worry)\b|^\s*(\S+\s+){0,2}?(está|están|estuvo|va|van)\s+(bien|estable|cubiert[oa]s?|bajo control)\b|^\s*(\S+\s+){0,2}?no (es|son|fue) (un |una )?(problema|preocupación)/;
+const CLAUSE_BREAK = /[.!?;,]|\b(but|though|although|however|pero|aunque|sin embargo)\b/g;
+
+// Text on the same side of the nearest clause break as the match
+function clauseBefore(text, index) {
+    const before = text.slice(Math.max(0, index - 60), index);
+    const breaks = [...before.matchAll(CLAUSE_BREAK)];
+    return breaks.length ? before.slice(breaks[breaks.length - 1].index + breaks[breaks.length - 1][0].length) : before;
+}
+
+function clauseAfter(text, index) {
+    const after = text.slice(index, index + 60);
+    const match = after.search(/[.!?;,]|\b(but|though|although|however|pero|aunque|sin embargo)\b/);
+    return match === -1 ? after : after.slice(0, match);
+}
+
+function isNegated(text, index, length) {
+    const before = clauseBefore(text, index);
+    return NEGATION_BEFORE.test(before) || NO_PROBLEM_BEFORE.test(before) ||
+        NEGATION_AFTER.test(clauseAfter(text, index + length));
+}
+
+// How much the ratings back up a situation: low ratings on its dimensions add
+// evidence, high ratings on all of them make a passing mention less likely
+function ratingFactor(situation, ratings) {
+    const rated = situation.dimensions.filter(d => Number.isInteger(ratings[d]));
+    if (rated.length === 0) return { support: 0, dampen: 1 };
+
+    const lowest = Math.min(...rated.map(d => ratings[d]));
+    const support = lowest === SCALE.min ? 0.3 : isConcern(lowest) ? 0.2 : 0;
+    const dampen = rated.every(d => isStrength(ratings[d])) ? 0.6 : 1;
+    return { support, dampen };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Classify free text plus ratings. Returns every situation with any evidence
+// (confidence 0-1, the phrases that matched and any negated mentions), the
+// directory tags for confident situations and the low-rated dimensions.
+function classifySituations({ text = '', ratings = {} } = {}) {
+    const normalized = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+    const situations = [];
+
+    for (const situation of TAXONOMY) {
+        const evidence = [];
+        const negated = [];
+        let missing = 1; // Combined as 1 - product(1 - weight) so signals add up without passing 1
+
+        for (const [pattern, weight] of situation.signals) {
+            const global = new RegExp(pattern.source, 'g');
+            for (const match of normalized.matchAll(global)) {
+                if (isNegated(normalized, match.index, match[0].length)) {
+                    negated.push(match[0]);
+                } else {
+                    evidence.push(match[0]);
+                    missing *= 1 - weight;
+                }
+            }
+        }
+
+        if (evidence.length === 0 && negated.length === 0) continue;
+
+        let confidence = 0;
+        if (evidence.length > 0) {
+            const { support, dampen } = ratingFactor(situation, ratings);
+            confidence = (1 - missing * (1 - support)) * dampen;
+        }
+
+        situations.push({
+            id: situation.id,
+            label: situation.label,
+            confidence: round(Math.min(confidence, 0.99)),
+            dimensions: situation.dimensions,
+            tags: situation.tags,
+            evidence,
+            negated
+        });
+    }
+
+    situations.sort((a, b) => b.confidence - a.confidence);
+
+    const confident = situations.filter(s => s.confidence >= MIN_CONFIDENCE);
+    const lowDimensions = Object.entries(ratings)
+        .filter(([, rating]) => Number.isInteger(rating) && isConcern(rating))
+        .sort((a, b) => a[1] - b[1])
+        .map(([dimension]) => dimension);
+
+    return {
+        situations,
+        tags: [...new Set(confident.flatMap(s => s.tags))],
+        lowDimensions
+    };
+}
+
+module.exports = { classifySituations };
@@ -0,0 +1,70 @@
+// lib/sse.js - VYBIN Server-Sent Events helpers
+//
+// AI routes are registered at both /api/<route> (JSON) and /api/<route>/stream
+// (SSE). A streamed reply sends:
+//   event: meta   { crisis }            - once, before any text
+//   event: token  { text }              - generated text, a sentence at a time
+//                                         once the output check has run on it
+//   event: done   { ...json response }  - the same body the JSON route returns
+//   event: error  { ...error response }
+// Errors raised before the stream opens (401/402/404) are still plain JSON.
+const llm = require('./llm');
+const { createOutputStream } = require('./prompts');
+const { errorBody } = require('./errors');
+
+function wantsStream(req) {
+    return req.path.endsWith('/stream');
+}
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openStream(res, meta) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    sendEvent(res, 'meta', meta);
+}
+
+// Generate a reply: streamed as token events for /stream requests, one call otherwise
+async function generate(req, res, request, meta = {}) {
+    if (!wantsStream(req)) {
+        return llm.complete(request);
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    openStream(res, meta);
+    // Nothing reaches the client (or its speech synthesis) before checkOutput has seen it
+    const checked = createOutputStream(text => sendEvent(res, 'token', { text }));
+    const result = await llm.stream({
+        ...request,
+        signal: controller.signal,
+        onText(text) {
+            checked.push(text);
+        }
+    });
+    checked.flush();
+    return result;
+}
+
+// Finish the request: JSON body, or a final done/error event on an open stream
+function reply(res, status, body) {
+    if (body.success === false && !body.code) {
+        const { error, ...extra } = body;
+        body = errorBody(status, error, extra);
+    }
+    if (res.headersSent) {
+        sendEvent(res, body.success === false ? 'error' : 'done', body);
+        return res.end();
+    }
+    res.status(status).json(body);
+}
+
+module.exports = { wantsStream, generate, reply };
@@ -0,0 +1,112 @@
+// lib/store.js - VYBIN local file-backed data store
+//
+// Each collection is a JSON file under VYBIN_DB_DIR (default ./db). Records
+// are kept in memory after the first read and every write rewrites the file
+// through a temp file + rename so a crash never leaves a half-written store.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./logger');
+
+const DB_DIR = process.env.VYBIN_DB_DIR || path.join(__dirname, '..', 'db');
+
+const collections = {};
+
+function getCollection(name) {
+    if (!collections[name]) {
+        collections[name] = createCollection(name);
+    }
+    return collections[name];
+}
+
+function createCollection(name) {
+    const filePath = path.join(DB_DIR, `${name}.json`);
+    let records = null;
+
+    function load() {
+        if (records) return records;
+        try {
+            records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`💥 VYBIN: Could not read store "${name}"`, error);
+                throw error;
+            }
+            records = [];
+        }
+        return records;
+    }
+
+    function persist() {
+        fs.mkdirSync(DB_DIR, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(records, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        all() {
+            return load().slice();
+        },
+
+        find(predicate) {
+            return load().filter(predicate);
+        },
+
+        findOne(predicate) {
+            return load().find(predicate) || null;
+        },
+
+        get(id) {
+            return load().find(record => record.id === id) || null;
+        },
+
+        insert(fields) {
+            const now = new Date().toISOString();
+            const record = { id: crypto.randomUUID(), createdAt: now, ...fields };
+            load().push(record);
+            persist();
+            return record;
+        },
+
+        // Many records for one file write; large imports would otherwise rewrite the file once per record
+        insertMany(list) {
+            const now = new Date().toISOString();
+            const inserted = list.map(fields => ({ id: crypto.randomUUID(), createdAt: now, ...fields }));
+            if (inserted.length === 0) return inserted;
+            load().push(...inserted);
+            persist();
+            return inserted;
+        },
+
+        update(id, changes) {
+            const record = load().find(r => r.id === id);
+            if (!record) return null;
+            Object.assign(record, changes, { id, updatedAt: new Date().toISOString() });
+            persist();
+            return record;
+        },
+
+        remove(id) {
+            const index = load().findIndex(r => r.id === id);
+            if (index === -1) return false;
+            records.splice(index, 1);
+            persist();
+            return true;
+        },
+
+        removeWhere(predicate) {
+            const before = load().length;
+            records = records.filter(record => !predicate(record));
+            if (records.length !== before) persist();
+            return before - records.length;
+        }
+    };
+}
+
+// Record counts for every collection opened so far (each lib module opens its own when loaded)
+function collectionSizes() {
+    return Object.fromEntries(Object.keys(collections).sort().map(name => [name, collections[name].all().length]));
+}
+
+module.exports = { getCollection, collectionSizes, DB_DIR };
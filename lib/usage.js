@@ -0,0 +1,156 @@
+// lib/usage.js - VYBIN AI usage metering and token budgets
+//
+// The input/output token counts Claude reports with every reply are added to
+// a rollup per user, route and day. Each plan has a daily and a monthly token
+// budget (PLANS in lib/entitlements.js); a user over either one gets a cached
+// or templated reply instead of a Claude call (lib/fallback.js), and those are
+// counted too. GET /api/admin/usage reports tokens and estimated cost.
+//
+//   LLM_COST_PER_MTOK_INPUT    USD per million input tokens, default 3
+//   LLM_COST_PER_MTOK_OUTPUT   USD per million output tokens, default 15
+const { getCollection } = require('./store');
+const { PLANS, getPlanId } = require('./entitlements');
+const log = require('./logger');
+
+const aiUsage = getCollection('ai_usage');
+const users = getCollection('users');
+
+function envCost(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getPricing() {
+    return {
+        inputPerMTok: envCost('LLM_COST_PER_MTOK_INPUT', 3),
+        outputPerMTok: envCost('LLM_COST_PER_MTOK_OUTPUT', 15)
+    };
+}
+
+function toDateOnly(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function rollupFor(userId, route, date) {
+    return aiUsage.findOne(u => u.userId === userId && u.route === route && u.date === date) ||
+        aiUsage.insert({ userId, route, date, requests: 0, inputTokens: 0, outputTokens: 0, fallbacks: 0 });
+}
+
+// usage is the API's { input_tokens, output_tokens }; providers that don't report it count as 0
+function recordTokens(userId, { route, usage }) {
+    const rollup = rollupFor(userId, route, toDateOnly(new Date()));
+    const inputTokens = (usage && usage.input_tokens) || 0;
+    const outputTokens = (usage && usage.output_tokens) || 0;
+    aiUsage.update(rollup.id, {
+        requests: rollup.requests + 1,
+        inputTokens: rollup.inputTokens + inputTokens,
+        outputTokens: rollup.outputTokens + outputTokens
+    });
+}
+
+// A reply served without calling Claude
+function recordFallback(userId, { route }) {
+    const rollup = rollupFor(userId, route, toDateOnly(new Date()));
+    aiUsage.update(rollup.id, { fallbacks: rollup.fallbacks + 1 });
+}
+
+function sumTokens(rollups) {
+    return rollups.reduce((total, u) => total + u.inputTokens + u.outputTokens, 0);
+}
+
+function budgetStatus(limit, used) {
+    return { limit, used, remaining: limit === null ? null : Math.max(limit - used, 0) };
+}
+
+// Tokens used today and this month against the plan's budgets
+function getTokenBudget(userId, now = new Date()) {
+    const planId = getPlanId(userId);
+    const plan = PLANS[planId];
+    const today = toDateOnly(now);
+    const mine = aiUsage.find(u => u.userId === userId && u.date.startsWith(today.slice(0, 7)));
+
+    return {
+        plan: planId,
+        day: budgetStatus(plan.tokensPerDay, sumTokens(mine.filter(u => u.date === today))),
+        month: budgetStatus(plan.tokensPerMonth, sumTokens(mine))
+    };
+}
+
+// null when the user can call Claude, else which budget ran out. A reply can
+// overshoot a little: the check is before the call and tokens are counted after
+function checkBudget(userId) {
+    const budget = getTokenBudget(userId);
+    for (const scope of ['day', 'month']) {
+        if (budget[scope].remaining === 0) {
+            log.info('💸 VYBIN: Token budget reached', { plan: budget.plan, scope });
+            return { scope, ...budget[scope] };
+        }
+    }
+    return null;
+}
+
+function emptyTotals() {
+    return { requests: 0, fallbacks: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+function addTo(totals, rollup) {
+    totals.requests += rollup.requests;
+    totals.fallbacks += rollup.fallbacks;
+    totals.inputTokens += rollup.inputTokens;
+    totals.outputTokens += rollup.outputTokens;
+    return totals;
+}
+
+function withCost(totals, pricing) {
+    const cost = (totals.inputTokens * pricing.inputPerMTok + totals.outputTokens * pricing.outputPerMTok) / 1e6;
+    return { ...totals, estimatedCostUsd: Math.round(cost * 10000) / 10000 };
+}
+
+function groupBy(rollups, keyOf) {
+    const groups = new Map();
+    for (const rollup of rollups) {
+        const key = keyOf(rollup);
+        groups.set(key, addTo(groups.get(key) || emptyTotals(), rollup));
+    }
+    return groups;
+}
+
+// from/to are inclusive YYYY-MM-DD dates (default: this month so far). Users
+// are sorted by tokens used, most first; limit caps how many are listed
+function usageReport({ from, to, userId, limit = 50 } = {}) {
+    const today = toDateOnly(new Date());
+    from = from || `${today.slice(0, 7)}-01`;
+    to = to || today;
+    const pricing = getPricing();
+
+    const rollups = aiUsage.find(u => u.date >= from && u.date <= to && (!userId || u.userId === userId));
+    const byUser = [...groupBy(rollups, u => u.userId)]
+        .sort(([, a], [, b]) => (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens));
+
+    return {
+        from,
+        to,
+        pricing,
+        totals: withCost(rollups.reduce(addTo, emptyTotals()), pricing),
+        byRoute: [...groupBy(rollups, u => u.route)].map(([route, totals]) => ({ route, ...withCost(totals, pricing) })),
+        byDay: [...groupBy(rollups, u => u.date)].sort(([a], [b]) => a.localeCompare(b)).map(([date, totals]) => ({ date, ...withCost(totals, pricing) })),
+        byUser: byUser.slice(0, limit).map(([id, totals]) => {
+            const user = users.get(id);
+            return {
+                userId: id,
+                username: user ? user.username : null,
+                ...withCost(totals, pricing),
+                budget: getTokenBudget(id)
+            };
+        }),
+        usersWithUsage: byUser.length
+    };
+}
+
+module.exports = {
+    recordTokens,
+    recordFallback,
+    getTokenBudget,
+    checkBudget,
+    usageReport
+};
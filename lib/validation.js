@@ -0,0 +1,184 @@
+// lib/validation.js - VYBIN request validation
+//
+// Schemas are plain JSON Schema objects (the subset below), so the same
+// definitions validate requests and generate the OpenAPI document. Supported
+// keywords: type, properties, required, additionalProperties (false, or a
+// schema every other value must match), minProperties, maxProperties, enum,
+// minLength, maxLength, pattern, format (date, date-time), minimum, maximum,
+// items, maxItems, nullable, plus errorMessage to replace the default message.
+// A property may only be null when its schema says nullable: true.
+const { ROUTES } = require('./schemas');
+const { sendError } = require('./errors');
+
+const FORMATS = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    'date-time': value => !isNaN(Date.parse(value))
+};
+
+const FORMAT_MESSAGES = {
+    date: 'must be a YYYY-MM-DD date',
+    'date-time': 'must be a valid ISO date'
+};
+
+const TYPE_NAMES = {
+    object: 'an object',
+    array: 'a list',
+    string: 'text',
+    integer: 'a whole number',
+    number: 'a number',
+    boolean: 'true or false'
+};
+
+function typeMatches(type, value) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        default: return typeof value === type;
+    }
+}
+
+// Collects { field, message } problems for value against schema
+function check(schema, value, field, errors) {
+    const fail = message => errors.push({ field: field || 'body', message: schema.errorMessage || message });
+
+    if (schema.type && !typeMatches(schema.type, value)) {
+        if (schema.type === 'integer' && typeof value === 'number' && schema.minimum !== undefined && schema.maximum !== undefined) {
+            return fail(`must be a whole number from ${schema.minimum} to ${schema.maximum}`);
+        }
+        return fail(`must be ${TYPE_NAMES[schema.type]}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('has an invalid format');
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return fail(FORMAT_MESSAGES[schema.format]);
+        }
+    }
+
+    if (typeof value === 'number') {
+        const outOfRange = (schema.minimum !== undefined && value < schema.minimum) ||
+            (schema.maximum !== undefined && value > schema.maximum);
+        if (outOfRange) {
+            if (schema.minimum !== undefined && schema.maximum !== undefined) {
+                return fail(`must be from ${schema.minimum} to ${schema.maximum}`);
+            }
+            return fail(schema.minimum !== undefined ? `must be at least ${schema.minimum}` : `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${field}[${index}]`, errors));
+        }
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+        const prefix = field ? `${field}.` : '';
+
+        for (const name of schema.required || []) {
+            if (value[name] === undefined || value[name] === null) {
+                errors.push({ field: `${prefix}${name}`, message: 'is required' });
+            }
+        }
+        for (const [name, propertyValue] of Object.entries(value)) {
+            if (properties[name]) {
+                const skip = propertyValue === undefined || (propertyValue === null && properties[name].nullable);
+                if (!skip) {
+                    check(properties[name], propertyValue, `${prefix}${name}`, errors);
+                }
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: `${prefix}${name}`, message: 'is not a recognized field' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, propertyValue, `${prefix}${name}`, errors);
+            }
+        }
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(schema.minProperties === 1 ? 'must not be empty' : `must have at least ${schema.minProperties} fields`);
+        }
+        if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+            fail(`must have at most ${schema.maxProperties} fields`);
+        }
+    }
+}
+
+function validate(schema, value, field = '') {
+    const errors = [];
+    check(schema, value, field, errors);
+    return errors;
+}
+
+// Query and path values arrive as strings; turn them into the declared types
+function coerce(schema, values) {
+    const result = { ...values };
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+        const raw = result[name];
+        if (typeof raw !== 'string') continue;
+        if ((property.type === 'integer' || property.type === 'number') && raw.trim() !== '' && !isNaN(Number(raw))) {
+            result[name] = Number(raw);
+        } else if (property.type === 'boolean' && (raw === 'true' || raw === 'false')) {
+            result[name] = raw === 'true';
+        }
+    }
+    return result;
+}
+
+// One readable sentence for the error field; the full list goes in details
+function summarize(details) {
+    const [first] = details;
+    const message = `${first.field} ${first.message}`;
+    return details.length > 1 ? `${message} (and ${details.length - 1} more problem${details.length > 2 ? 's' : ''})` : message;
+}
+
+// Middleware for a route in the ROUTES table, e.g. validateRequest('POST /api/checkins').
+// Coerced query/path values replace req.query / req.params.
+function validateRequest(key) {
+    const route = ROUTES[key];
+    if (!route) {
+        throw new Error(`No schema registered for ${key}`);
+    }
+
+    return (req, res, next) => {
+        const details = [];
+
+        if (route.params) {
+            req.params = coerce(route.params, req.params);
+            details.push(...validate(route.params, req.params));
+        }
+        if (route.query) {
+            req.query = coerce(route.query, req.query);
+            details.push(...validate(route.query, req.query));
+        }
+        if (route.body) {
+            const body = req.body === undefined ? (route.body.type === 'object' ? {} : '') : req.body;
+            details.push(...validate(route.body, body));
+        }
+
+        if (details.length > 0) {
+            return sendError(res, 400, summarize(details), { code: 'VALIDATION_ERROR', details });
+        }
+        next();
+    };
+}
+
+module.exports = { validate, validateRequest, summarize };
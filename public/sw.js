@@ -0,0 +1,92 @@
+// public/sw.js - VYBIN service worker
+//
+// Keeps the app shell (public/) cached so VYBIN opens without a network, and
+// shows check-in reminders pushed by the server (lib/reminders.js). API calls
+// are never cached: check-ins made offline wait in IndexedDB and the page
+// syncs them when the connection comes back.
+const SHELL_CACHE = 'vybin-shell-v2';
+const SHELL_ASSETS = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/locales/en.json',
+    '/locales/es.json',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_ASSETS);
+        await self.skipWaiting();
+    })());
+});
+
+// Drop shells cached by older versions of this file
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name.startsWith('vybin-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Network first so deploys show up straight away; the cache is the offline fallback
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('/') : null);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/push-stand-in/')) return;
+
+    event.respondWith(networkFirst(event.request));
+});
+
+self.addEventListener('push', event => {
+    let message = {};
+    try {
+        message = event.data ? event.data.json() : {};
+    } catch (error) {
+        message = { body: event.data.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(message.title || 'VYBIN', {
+        body: message.body || 'How are you feeling today?',
+        icon: '/icons/icon-192.png',
+        tag: message.tag || 'vybin-reminder', // A new reminder replaces yesterday's
+        renotify: false,
+        data: { url: message.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const open = windows.find(client => client.url.startsWith(self.location.origin));
+        if (open) {
+            return open.focus();
+        }
+        return self.clients.openWindow(url);
+    })());
+});
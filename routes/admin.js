@@ -0,0 +1,81 @@
+// routes/admin.js - VYBIN admin endpoints (admin role granted through VYBIN_ADMIN_USERS, see lib/auth.js)
+const express = require('express');
+const { requireAdmin } = require('../lib/auth');
+const { getDirectory, importDirectoryCsv } = require('../lib/resources');
+const { runReminders } = require('../lib/reminders');
+const { runDigests } = require('../lib/digests');
+const { listTemplates } = require('../lib/prompts');
+const { runSelfCheck } = require('../lib/prompts/self-check');
+const { serverDiagnostics, userDiagnostics } = require('../lib/diagnostics');
+const { usageReport } = require('../lib/usage');
+const { recordAccess } = require('../lib/audit');
+const log = require('../lib/logger');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/resources', validateRequest('GET /api/admin/resources'), (req, res) => {
+    res.json({ success: true, resources: getDirectory() });
+});
+
+// POST /api/admin/resources/import?replace=true - body is the CSV (Content-Type: text/csv)
+router.post('/resources/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    validateRequest('POST /api/admin/resources/import'),
+    (req, res) => {
+        const result = importDirectoryCsv(req.body, { replace: req.query.replace === true });
+        if (result.errors) {
+            return sendError(res, 400, 'Invalid resource CSV', { code: 'VALIDATION_ERROR', details: result.errors });
+        }
+
+        log.info('📥 VYBIN: Resource directory import', { added: result.added, updated: result.updated });
+        res.json({ success: true, ...result });
+    }
+);
+
+// Same pass the scheduler runs each minute; `now` lets a tester jump to reminder time
+router.post('/reminders/run', validateRequest('POST /api/admin/reminders/run'), async (req, res) => {
+    const summary = await runReminders(req.body.now ? new Date(req.body.now) : new Date());
+    res.json({ success: true, summary });
+});
+
+// Same pass the scheduler runs; `now` picks the week (the one before it)
+router.post('/digests/run', validateRequest('POST /api/admin/digests/run'), async (req, res) => {
+    const summary = await runDigests(req.body.now ? new Date(req.body.now) : new Date(), { userId: req.body.userId });
+    res.json({ success: true, summary });
+});
+
+router.get('/diagnostics', validateRequest('GET /api/admin/diagnostics'), (req, res) => {
+    res.json({ success: true, diagnostics: serverDiagnostics() });
+});
+
+// Counts only, but it is still a look at someone's account, so it goes in their access log
+router.get('/diagnostics/users/:id', validateRequest('GET /api/admin/diagnostics/users/:id'), (req, res) => {
+    const diagnostics = userDiagnostics(req.params.id);
+    if (!diagnostics) {
+        return sendError(res, 404, 'User not found');
+    }
+
+    recordAccess(req, { action: 'admin.diagnostics', userId: req.params.id });
+    res.json({ success: true, diagnostics });
+});
+
+// Claude tokens and estimated cost by route, day and user (token counts only, no content)
+router.get('/usage', validateRequest('GET /api/admin/usage'), (req, res) => {
+    const { from, to, userId, limit } = req.query;
+    res.json({ success: true, usage: usageReport({ from, to, userId, limit }) });
+});
+
+// Renders every adversarial case in lib/prompts/adversarial.json; run after editing a template
+router.get('/prompts/self-check', validateRequest('GET /api/admin/prompts/self-check'), (req, res) => {
+    const { passed, failed, results } = runSelfCheck();
+    if (failed > 0) {
+        log.warn('⚠️ VYBIN: Prompt self-check failed', { failed, total: passed + failed });
+    }
+    res.json({ success: true, templates: listTemplates(), passed, failed, results });
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// routes/audit.js - VYBIN access log: who viewed or exported your check-ins
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { listAccess } = require('../lib/audit');
+const { validateRequest } = require('../lib/validation');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/audit?limit=50&offset=0
+router.get('/', validateRequest('GET /api/audit'), (req, res) => {
+    const { limit, offset } = req.query;
+    res.json({ success: true, ...listAccess(req.user.id, { limit, offset }) });
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// routes/auth.js - VYBIN account and session endpoints
+const express = require('express');
+const {
+    registerUser,
+    authenticateUser,
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    requireAuth,
+    publicUser,
+    demoAccountEnabled
+} = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.post('/register', validateRequest('POST /api/auth/register'), (req, res) => {
+    const { username, password, locale } = req.body;
+
+    const result = registerUser(username, password, { locale });
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    const { token } = createSession(result.user.id);
+    setSessionCookie(res, token);
+
+    log.info('✅ VYBIN: New user registered', { userId: result.user.id });
+    res.status(201).json({ success: true, user: publicUser(result.user), token });
+});
+
+router.post('/login', validateRequest('POST /api/auth/login'), (req, res) => {
+    const { username, password } = req.body;
+
+    const user = authenticateUser(username, password);
+    if (!user) {
+        return sendError(res, 401, 'Invalid username or password');
+    }
+
+    const { token } = createSession(user.id);
+    setSessionCookie(res, token);
+
+    log.info('✅ VYBIN: User logged in', { userId: user.id });
+    res.json({ success: true, user: publicUser(user), token });
+});
+
+router.post('/logout', validateRequest('POST /api/auth/logout'), (req, res) => {
+    if (req.session) {
+        destroySession(req.session.id);
+    }
+    clearSessionCookie(res);
+    res.json({ success: true });
+});
+
+// Whether the login screen should offer the demo account
+router.get('/demo', validateRequest('GET /api/auth/demo'), (req, res) => {
+    res.json({ success: true, enabled: demoAccountEnabled() });
+});
+
+router.get('/me', requireAuth, validateRequest('GET /api/auth/me'), (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+module.exports = router;
@@ -0,0 +1,63 @@
+// routes/billing.js - VYBIN plan, entitlement and upgrade endpoints
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { getEntitlements } = require('../lib/entitlements');
+const { getBillingProvider, startUpgrade } = require('../lib/billing');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+const UNAVAILABLE = "Upgrades aren't available right now - please try again later";
+
+router.use(requireAuth);
+
+// GET /api/billing/entitlements?checkinId=...
+router.get('/entitlements', validateRequest('GET /api/billing/entitlements'), (req, res) => {
+    res.json({
+        success: true,
+        entitlements: getEntitlements(req.user.id, req.query.checkinId || null)
+    });
+});
+
+router.post('/checkout', validateRequest('POST /api/billing/checkout'), (req, res) => {
+    const { plan = 'premium' } = req.body;
+
+    const result = startUpgrade(req.user.id, plan);
+    if (result.unavailable) {
+        return sendError(res, 503, UNAVAILABLE);
+    }
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    log.info('💳 VYBIN: Checkout started', { sessionId: result.checkout.sessionId });
+    res.status(201).json({ success: true, checkout: result.checkout });
+});
+
+// Stands in for the provider's payment confirmation (redirect + webhook)
+router.post('/checkout/:sessionId/complete', validateRequest('POST /api/billing/checkout/:sessionId/complete'), (req, res) => {
+    const provider = getBillingProvider();
+    if (!provider) {
+        return sendError(res, 503, UNAVAILABLE);
+    }
+    const result = provider.completeCheckout(req.user.id, req.params.sessionId);
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    log.info('✅ VYBIN: Upgrade completed', { plan: result.subscription.plan });
+    res.json({ success: true, entitlements: getEntitlements(req.user.id) });
+});
+
+router.post('/cancel', validateRequest('POST /api/billing/cancel'), (req, res) => {
+    const provider = getBillingProvider();
+    if (!provider) {
+        return sendError(res, 503, UNAVAILABLE);
+    }
+    provider.cancelSubscription(req.user.id);
+    res.json({ success: true, entitlements: getEntitlements(req.user.id) });
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// routes/checkins.js - VYBIN check-in history endpoints
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const {
+    createCheckin,
+    listCheckins,
+    getCheckin,
+    updateCheckin,
+    deleteCheckin
+} = require('../lib/checkins');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const { recordAccess } = require('../lib/audit');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', validateRequest('POST /api/checkins'), (req, res) => {
+    const { ratings, context, date, clientId } = req.body;
+
+    const result = createCheckin(req.user.id, { ratings, context, date, clientId });
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+    if (result.duplicate) {
+        return res.json({ success: true, checkin: result.checkin, duplicate: true });
+    }
+
+    log.info('✅ VYBIN: Saved checkin', { dateOnly: result.checkin.dateOnly });
+    res.status(201).json({ success: true, checkin: result.checkin });
+});
+
+// GET /api/checkins?from=YYYY-MM-DD&to=YYYY-MM-DD&limit=50&offset=0
+router.get('/', validateRequest('GET /api/checkins'), (req, res) => {
+    const { from, to, limit, offset } = req.query;
+    const page = listCheckins(req.user.id, { from, to, limit, offset });
+    recordAccess(req, { action: 'checkins.list', checkinIds: page.checkins.map(checkin => checkin.id) });
+    res.json({ success: true, ...page });
+});
+
+router.get('/:id', validateRequest('GET /api/checkins/:id'), (req, res) => {
+    const checkin = getCheckin(req.user.id, req.params.id);
+    if (!checkin) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+    recordAccess(req, { action: 'checkins.view', checkinIds: [checkin.id] });
+    res.json({ success: true, checkin });
+});
+
+router.patch('/:id', validateRequest('PATCH /api/checkins/:id'), (req, res) => {
+    const { ratings, context } = req.body;
+
+    const result = updateCheckin(req.user.id, req.params.id, { ratings, context });
+    if (result.notFound) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+    res.json({ success: true, checkin: result.checkin });
+});
+
+router.delete('/:id', validateRequest('DELETE /api/checkins/:id'), (req, res) => {
+    if (!deleteCheckin(req.user.id, req.params.id)) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+    res.json({ success: true });
+});
+
+module.exports = router;
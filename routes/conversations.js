@@ -0,0 +1,39 @@
+// routes/conversations.js - VYBIN conversation thread endpoints
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { getThread, listThreads } = require('../lib/conversations');
+const { getCheckin } = require('../lib/checkins');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const { recordAccess } = require('../lib/audit');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', validateRequest('GET /api/conversations'), (req, res) => {
+    res.json({ success: true, conversations: listThreads(req.user.id) });
+});
+
+router.get('/:id', validateRequest('GET /api/conversations/:id'), (req, res) => {
+    const thread = getThread(req.user.id, req.params.id);
+    if (!thread) {
+        return sendError(res, 404, 'Conversation not found');
+    }
+
+    recordAccess(req, { action: 'conversation.view', checkinIds: [thread.checkinId] });
+    res.json({
+        success: true,
+        conversation: {
+            id: thread.id,
+            checkinId: thread.checkinId,
+            dateOnly: thread.dateOnly,
+            checkin: getCheckin(req.user.id, thread.checkinId),
+            messages: thread.messages,
+            createdAt: thread.createdAt,
+            updatedAt: thread.updatedAt || thread.createdAt
+        }
+    });
+});
+
+module.exports = router;
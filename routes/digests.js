@@ -0,0 +1,36 @@
+// routes/digests.js - VYBIN weekly reflection digests and their email setting
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { listDigests, getDigestSettings, updateDigestSettings } = require('../lib/digests');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Newest first, with the email setting so the screen needs one request
+router.get('/', validateRequest('GET /api/digests'), (req, res) => {
+    res.json({
+        success: true,
+        digests: listDigests(req.user.id, { limit: req.query.limit }),
+        settings: getDigestSettings(req.user.id)
+    });
+});
+
+router.get('/settings', validateRequest('GET /api/digests/settings'), (req, res) => {
+    res.json({ success: true, settings: getDigestSettings(req.user.id) });
+});
+
+router.put('/settings', validateRequest('PUT /api/digests/settings'), (req, res) => {
+    const result = updateDigestSettings(req.user.id, req.body);
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    log.info('📰 VYBIN: Digest settings updated', { emailEnabled: result.settings.emailEnabled });
+    res.json({ success: true, settings: result.settings });
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+// routes/goals.js - VYBIN wellness goals, their tasks and check-in follow-ups
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const {
+    listGoals,
+    getGoal,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    addTask,
+    updateTask,
+    deleteTask,
+    recordProgress,
+    tasksToFollowUp
+} = require('../lib/goals');
+const { getCheckin } = require('../lib/checkins');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Shared reply for lib/goals results: { notFound }, { error } or the changed goal
+function sendResult(res, result, status = 200) {
+    if (result.notFound) {
+        return sendError(res, 404, 'Goal or task not found');
+    }
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+    const { notFound, error, ...body } = result;
+    res.status(status).json({ success: true, ...body });
+}
+
+// Tasks can only point at the user's own check-ins
+function unknownCheckin(req) {
+    return req.body.checkinId && !getCheckin(req.user.id, req.body.checkinId);
+}
+
+// GET /api/goals?status=active (default), completed, archived or all
+router.get('/', validateRequest('GET /api/goals'), (req, res) => {
+    res.json({ success: true, goals: listGoals(req.user.id, { status: req.query.status }) });
+});
+
+router.post('/', validateRequest('POST /api/goals'), (req, res) => {
+    const { dimension, title, why } = req.body;
+    const result = createGoal(req.user.id, { dimension, title, why });
+    if (result.goal) {
+        log.info('🎯 VYBIN: Goal created', { dimension });
+    }
+    sendResult(res, result, 201);
+});
+
+// Open tasks to ask about at this check-in
+router.get('/follow-up', validateRequest('GET /api/goals/follow-up'), (req, res) => {
+    res.json({ success: true, tasks: tasksToFollowUp(req.user.id) });
+});
+
+router.get('/:id', validateRequest('GET /api/goals/:id'), (req, res) => {
+    const goal = getGoal(req.user.id, req.params.id);
+    if (!goal) {
+        return sendError(res, 404, 'Goal not found');
+    }
+    res.json({ success: true, goal });
+});
+
+router.patch('/:id', validateRequest('PATCH /api/goals/:id'), (req, res) => {
+    const { title, why, status } = req.body;
+    sendResult(res, updateGoal(req.user.id, req.params.id, { title, why, status }));
+});
+
+router.delete('/:id', validateRequest('DELETE /api/goals/:id'), (req, res) => {
+    if (!deleteGoal(req.user.id, req.params.id)) {
+        return sendError(res, 404, 'Goal not found');
+    }
+    res.json({ success: true });
+});
+
+router.post('/:id/tasks', validateRequest('POST /api/goals/:id/tasks'), (req, res) => {
+    if (unknownCheckin(req)) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+    const { text, source, checkinId } = req.body;
+    const result = addTask(req.user.id, req.params.id, { text, source, checkinId });
+    if (result.task) {
+        log.info('🎯 VYBIN: Task added', { source: result.task.source });
+    }
+    sendResult(res, result, 201);
+});
+
+router.patch('/:id/tasks/:taskId', validateRequest('PATCH /api/goals/:id/tasks/:taskId'), (req, res) => {
+    const { text, status } = req.body;
+    sendResult(res, updateTask(req.user.id, req.params.id, req.params.taskId, { text, status }));
+});
+
+router.delete('/:id/tasks/:taskId', validateRequest('DELETE /api/goals/:id/tasks/:taskId'), (req, res) => {
+    sendResult(res, deleteTask(req.user.id, req.params.id, req.params.taskId));
+});
+
+// The answer to "how did it go?" at a check-in
+router.post('/:id/tasks/:taskId/progress', validateRequest('POST /api/goals/:id/tasks/:taskId/progress'), (req, res) => {
+    if (unknownCheckin(req)) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+    const { outcome, note, checkinId } = req.body;
+    const result = recordProgress(req.user.id, req.params.id, req.params.taskId, { outcome, note, checkinId });
+    if (result.task) {
+        log.info('🎯 VYBIN: Task progress', { outcome });
+    }
+    sendResult(res, result);
+});
+
+module.exports = router;
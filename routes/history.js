@@ -0,0 +1,52 @@
+// routes/history.js - VYBIN check-in history export and import
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { buildExport, exportedCheckinIds, toCsv, toReportHtml, importBackup } = require('../lib/portability');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const { recordAccess } = require('../lib/audit');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// GET /api/history/export?format=json|csv|html&from=YYYY-MM-DD&to=YYYY-MM-DD&includeContext=true
+router.get('/export', validateRequest('GET /api/history/export'), (req, res) => {
+    const { format = 'json', from, to, includeContext = false } = req.query;
+
+    const data = buildExport(req.user, { from, to, includeContext });
+    const filename = `vybin-history-${new Date().toISOString().split('T')[0]}`;
+
+    log.info('📤 VYBIN: Exporting checkins', { count: data.checkins.length, format });
+    recordAccess(req, {
+        action: 'history.export',
+        checkinIds: exportedCheckinIds(req.user.id, { from, to }),
+        details: { format, includeContext }
+    });
+
+    if (format === 'csv') {
+        res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+        return res.type('text/csv').send(toCsv(data));
+    }
+    if (format === 'html') {
+        return res.type('html').send(toReportHtml(data));
+    }
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(data);
+});
+
+// POST /api/history/import - body is a JSON backup from /export
+router.post('/import', validateRequest('POST /api/history/import'), (req, res) => {
+    const result = importBackup(req.user.id, req.body);
+    if (result.errors) {
+        return sendError(res, 400, 'Invalid backup file', { code: 'VALIDATION_ERROR', details: result.errors });
+    }
+
+    const { imported, skipped, rejected } = result;
+    log.info('📥 VYBIN: Imported checkins', { imported, skipped, rejected });
+    recordAccess(req, { action: 'history.import', details: { imported, skipped, rejected } });
+    res.json({ success: true, ...result });
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// routes/insights.js - VYBIN trends and analytics endpoints
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { getTrends } = require('../lib/insights');
+const { validateRequest } = require('../lib/validation');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GET /api/insights/trends?days=30  or  ?from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/trends', validateRequest('GET /api/insights/trends'), (req, res) => {
+    let { from, to, days } = req.query;
+
+    if (days !== undefined) {
+        from = from || new Date(Date.now() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+    }
+
+    res.json({ success: true, trends: getTrends(req.user.id, { from, to }) });
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// routes/instruments.js - VYBIN check-in instruments and screener answers
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { getInstruments } = require('../lib/instruments');
+const { recordResponse, listResponses, dueScreeners } = require('../lib/screeners');
+const { getCheckin } = require('../lib/checkins');
+const { sendError } = require('../lib/errors');
+const { validateRequest, summarize } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// The dimensions, scale and thresholds the rating grid is drawn from, plus
+// the enabled screeners and which of them this user is due to answer, in their language
+router.get('/', validateRequest('GET /api/instruments'), (req, res) => {
+    res.json({ success: true, ...getInstruments(req.user.locale), dueScreeners: dueScreeners(req.user.id) });
+});
+
+router.get('/screeners/responses', validateRequest('GET /api/instruments/screeners/responses'), (req, res) => {
+    res.json({ success: true, responses: listResponses(req.user.id, { screenerId: req.query.screener, locale: req.user.locale }) });
+});
+
+// Body is { answers: { itemId: optionValue }, checkinId? }; the server does the scoring
+router.post('/screeners/:id/responses', validateRequest('POST /api/instruments/screeners/:id/responses'), (req, res) => {
+    const { answers, checkinId } = req.body;
+
+    if (checkinId && !getCheckin(req.user.id, checkinId)) {
+        return sendError(res, 404, 'Check-in not found');
+    }
+
+    const result = recordResponse(req.user.id, req.params.id, answers, { checkinId, locale: req.user.locale });
+    if (result.notFound) {
+        return sendError(res, 404, `${req.params.id} is not a screener this program uses`);
+    }
+    if (result.details) {
+        return sendError(res, 400, summarize(result.details), { code: 'VALIDATION_ERROR', details: result.details });
+    }
+
+    log.info('📋 VYBIN: Screener answered', { screener: result.response.screenerId, band: result.response.band });
+    res.status(201).json({ success: true, response: result.response, dueScreeners: dueScreeners(req.user.id) });
+});
+
+module.exports = router;
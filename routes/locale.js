@@ -0,0 +1,30 @@
+// routes/locale.js - VYBIN language setting
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { listLocales, resolveLocale, setUserLocale } = require('../lib/i18n');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+// Signed out, the browser's Accept-Language picks the suggestion for the sign-in screen
+router.get('/', validateRequest('GET /api/locale'), (req, res) => {
+    res.json({
+        success: true,
+        locale: req.user ? req.user.locale : resolveLocale(req.get('accept-language')),
+        locales: listLocales()
+    });
+});
+
+router.put('/', requireAuth, validateRequest('PUT /api/locale'), (req, res) => {
+    const locale = setUserLocale(req.user.id, req.body.locale);
+    if (!locale) {
+        return sendError(res, 404, 'User not found');
+    }
+
+    log.info('🗣️ VYBIN: Language changed', { locale });
+    res.json({ success: true, locale, locales: listLocales() });
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// routes/location.js - VYBIN saved location for local resource search
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const {
+    STATES,
+    getSavedLocation,
+    saveLocation,
+    forgetLocation,
+    suggestLocation,
+    ipLookupEnabled
+} = require('../lib/location');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', validateRequest('GET /api/location'), (req, res) => {
+    res.json({
+        success: true,
+        location: getSavedLocation(req.user.id),
+        ipLookup: ipLookupEnabled(),
+        states: STATES.map(({ code, name }) => ({ code, name }))
+    });
+});
+
+// Body is { zip } or { state, county?, city? }; saving replaces any earlier location
+router.put('/', validateRequest('PUT /api/location'), (req, res) => {
+    const { zip, state, county, city, source } = req.body;
+
+    const result = saveLocation(req.user.id, { zip, state, county, city }, { source });
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    log.info('📍 VYBIN: Location saved', { source: result.location.source, precision: result.location.zip ? 'zip' : result.location.county || result.location.city ? 'local' : 'state' });
+    res.json({ success: true, location: result.location });
+});
+
+router.delete('/', validateRequest('DELETE /api/location'), (req, res) => {
+    forgetLocation(req.user.id);
+    res.json({ success: true, location: null });
+});
+
+// Suggestion from the offline IP database (VYBIN_IP_DB); nothing is sent anywhere
+router.post('/detect', validateRequest('POST /api/location/detect'), (req, res) => {
+    const suggestion = suggestLocation(req);
+    log.debug('🗺️ VYBIN: IP location suggestion', { found: !!suggestion });
+    res.json({ success: true, detected: !!suggestion, location: suggestion });
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/reminders.js - VYBIN check-in reminder settings and push subscriptions
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const { getReminderSettings, updateReminderSettings, sendTestReminder } = require('../lib/reminders');
+const { getPublicKey, listSubscriptions, saveSubscription, removeSubscription } = require('../lib/push');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function remindersResponse(userId, settings) {
+    return {
+        success: true,
+        reminders: settings,
+        vapidPublicKey: getPublicKey(),
+        subscriptions: listSubscriptions(userId).length
+    };
+}
+
+router.get('/', validateRequest('GET /api/reminders'), (req, res) => {
+    res.json(remindersResponse(req.user.id, getReminderSettings(req.user.id)));
+});
+
+router.put('/', validateRequest('PUT /api/reminders'), (req, res) => {
+    const result = updateReminderSettings(req.user.id, req.body);
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    log.info('🔔 VYBIN: Reminder settings updated', { enabled: result.settings.enabled, reminderTime: result.settings.time, timeZone: result.settings.timeZone });
+    res.json(remindersResponse(req.user.id, result.settings));
+});
+
+router.post('/subscriptions', validateRequest('POST /api/reminders/subscriptions'), (req, res) => {
+    const result = saveSubscription(req.user.id, req.body, req.get('user-agent') || null);
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+    res.status(201).json(remindersResponse(req.user.id, getReminderSettings(req.user.id)));
+});
+
+router.delete('/subscriptions', validateRequest('DELETE /api/reminders/subscriptions'), (req, res) => {
+    if (!removeSubscription(req.user.id, req.body.endpoint)) {
+        return sendError(res, 404, 'Subscription not found');
+    }
+    res.json(remindersResponse(req.user.id, getReminderSettings(req.user.id)));
+});
+
+router.post('/test', validateRequest('POST /api/reminders/test'), async (req, res) => {
+    if (listSubscriptions(req.user.id).length === 0) {
+        return sendError(res, 400, 'Turn on notifications in this browser first');
+    }
+
+    // Only whether it arrived: push service statuses stay in the server log
+    const result = await sendTestReminder(req.user.id);
+    if (result.sent === 0) {
+        return sendError(res, 502, "The notification service didn't accept the test message");
+    }
+    res.json({ success: true, sent: result.sent });
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+// routes/sharing.js - VYBIN consent-based sharing with a peer supporter or clinician
+const express = require('express');
+const { requireAuth } = require('../lib/auth');
+const {
+    listShares,
+    createInvite,
+    updateShare,
+    revokeShare,
+    acceptInvite,
+    listSharedWithMe,
+    getSharedView
+} = require('../lib/sharing');
+const { recordAccess } = require('../lib/audit');
+const { sendError } = require('../lib/errors');
+const { validateRequest } = require('../lib/validation');
+const { mailProblem, publicBaseUrl } = require('../lib/mail');
+const log = require('../lib/logger');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shared reply for lib/sharing results: { notFound }, { error } or the share
+function sendResult(res, result, status = 200) {
+    if (result.notFound) {
+        return sendError(res, 404, 'Share not found');
+    }
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+    res.status(status).json({ success: true, share: result.share });
+}
+
+// Who the user shares with, including pending, expired and revoked invitations
+router.get('/', validateRequest('GET /api/sharing'), (req, res) => {
+    res.json({ success: true, shares: listShares(req.user.id) });
+});
+
+router.post('/', validateRequest('POST /api/sharing'), async (req, res) => {
+    const { email, role, dimensions, includeContext } = req.body;
+    const problem = mailProblem();
+    if (problem) log.error(`💥 VYBIN: ${problem}`);
+    const baseUrl = problem ? null : publicBaseUrl();
+    if (!baseUrl) {
+        return sendError(res, 503, "Invitations can't be emailed right now - please try again later");
+    }
+    const result = await createInvite(req.user.id, { email, role, dimensions, includeContext, baseUrl });
+
+    if (result.mailFailed) {
+        log.error('💥 VYBIN: Invitation email failed', result.error);
+        return sendError(res, 502, "We couldn't send the invitation email - please try again");
+    }
+    if (result.share) {
+        recordAccess(req, {
+            action: 'sharing.invite',
+            details: { shareId: result.share.id, role, dimensions: result.share.dimensions, includeContext: result.share.includeContext }
+        });
+    }
+    sendResult(res, result, 201);
+});
+
+// A supporter accepting the token from their invitation link
+router.post('/invites/accept', validateRequest('POST /api/sharing/invites/accept'), (req, res) => {
+    const result = acceptInvite(req.user.id, req.body.token);
+    if (result.notFound) {
+        return sendError(res, 404, 'This invitation link is not valid - it may have been used or revoked');
+    }
+    if (result.error) {
+        return sendError(res, 400, result.error);
+    }
+
+    const { share, ownerId } = result;
+    recordAccess(req, {
+        action: 'sharing.accept',
+        userId: ownerId,
+        actor: share.role,
+        details: { shareId: share.id }
+    });
+    log.info('🤝 VYBIN: Invitation accepted', { role: share.role });
+    res.json({ success: true, share });
+});
+
+router.get('/shared-with-me', validateRequest('GET /api/sharing/shared-with-me'), (req, res) => {
+    res.json({ success: true, shares: listSharedWithMe(req.user.id) });
+});
+
+// GET /api/sharing/shared-with-me/:id?days=30 - the supporter's read-only view
+router.get('/shared-with-me/:id', validateRequest('GET /api/sharing/shared-with-me/:id'), (req, res) => {
+    let { from, to, days } = req.query;
+    if (days !== undefined) {
+        from = from || new Date(Date.now() - (days - 1) * DAY_MS).toISOString().split('T')[0];
+    }
+
+    const view = getSharedView(req.user.id, req.params.id, { from, to });
+    if (!view) {
+        return sendError(res, 404, 'Share not found - it may have been revoked');
+    }
+
+    const { ownerId, checkinIds, ...body } = view;
+    recordAccess(req, {
+        action: 'sharing.view',
+        userId: ownerId,
+        actor: view.share.role,
+        checkinIds,
+        details: { shareId: view.share.id, from: view.trends.range.from, to: view.trends.range.to }
+    });
+    res.json({ success: true, ...body });
+});
+
+router.patch('/:id', validateRequest('PATCH /api/sharing/:id'), (req, res) => {
+    const { dimensions, includeContext } = req.body;
+    const result = updateShare(req.user.id, req.params.id, { dimensions, includeContext });
+    if (result.share) {
+        recordAccess(req, {
+            action: 'sharing.update',
+            details: { shareId: result.share.id, dimensions: result.share.dimensions, includeContext: result.share.includeContext }
+        });
+    }
+    sendResult(res, result);
+});
+
+// Revoking keeps the record (status "revoked") so the user can see who had access
+router.delete('/:id', validateRequest('DELETE /api/sharing/:id'), (req, res) => {
+    const result = revokeShare(req.user.id, req.params.id);
+    if (result.share) {
+        recordAccess(req, { action: 'sharing.revoke', details: { shareId: result.share.id } });
+        log.info('🤝 VYBIN: Share revoked', { role: result.share.role });
+    }
+    sendResult(res, result);
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// test/auth.test.js - accounts and the stored admin role
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.VYBIN_DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vybin-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerUser, grantAdminRoles, publicUser } = require('../lib/auth');
+const { getCollection } = require('../lib/store');
+
+const users = getCollection('users');
+
+test.after(() => {
+    delete process.env.VYBIN_ADMIN_USERS;
+    fs.rmSync(process.env.VYBIN_DB_DIR, { recursive: true, force: true });
+});
+
+test('a name listed in VYBIN_ADMIN_USERS cannot be registered', () => {
+    process.env.VYBIN_ADMIN_USERS = 'root-admin';
+    assert.deepStrictEqual(registerUser('Root-Admin', 'password123'), { error: 'That username is reserved' });
+});
+
+test('admin is granted to listed accounts at startup and removed once unlisted', () => {
+    delete process.env.VYBIN_ADMIN_USERS;
+    const { user } = registerUser('operator', 'password123');
+    assert.strictEqual(publicUser(user).role, 'user');
+
+    process.env.VYBIN_ADMIN_USERS = 'operator';
+    grantAdminRoles();
+    assert.strictEqual(publicUser(users.get(user.id)).role, 'admin');
+
+    process.env.VYBIN_ADMIN_USERS = '';
+    grantAdminRoles();
+    assert.strictEqual(publicUser(users.get(user.id)).role, 'user');
+});
@@ -0,0 +1,38 @@
+// test/billing.test.js - upgrades through the billing provider
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.VYBIN_DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vybin-test-'));
+process.env.LOG_LEVEL = 'error';
+delete process.env.BILLING_PROVIDER;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getBillingProvider, startUpgrade } = require('../lib/billing');
+const { getPlanId } = require('../lib/entitlements');
+
+test.after(() => {
+    fs.rmSync(process.env.VYBIN_DB_DIR, { recursive: true, force: true });
+});
+
+test('outside production the mock checkout upgrades the account', () => {
+    const { checkout } = startUpgrade('user-a');
+    assert.strictEqual(getBillingProvider().completeCheckout('user-a', checkout.sessionId).subscription.plan, 'premium');
+    assert.strictEqual(getPlanId('user-a'), 'premium');
+});
+
+test('the mock is disabled in production, even when named', () => {
+    process.env.NODE_ENV = 'production';
+    try {
+        for (const name of [undefined, 'mock']) {
+            if (name) process.env.BILLING_PROVIDER = name;
+            assert.strictEqual(getBillingProvider(), null);
+            assert.deepStrictEqual(startUpgrade('user-b'), { unavailable: true });
+        }
+    } finally {
+        delete process.env.NODE_ENV;
+        delete process.env.BILLING_PROVIDER;
+    }
+    assert.strictEqual(getPlanId('user-b'), 'free');
+});
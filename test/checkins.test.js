@@ -0,0 +1,37 @@
+// test/checkins.test.js - check-ins and the conversation threads built on them
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.VYBIN_DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vybin-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCheckin, deleteCheckin } = require('../lib/checkins');
+const { startThread, appendTurn, getThread, listThreads } = require('../lib/conversations');
+
+test.after(() => {
+    fs.rmSync(process.env.VYBIN_DB_DIR, { recursive: true, force: true });
+});
+
+test('deleting a check-in deletes its conversation thread', () => {
+    const { checkin } = createCheckin('user-a', { ratings: { emotional: 2 }, context: 'Fought with my sister' });
+    const { checkin: other } = createCheckin('user-a', { ratings: { emotional: 4 }, context: 'Better day' });
+    const thread = startThread('user-a', checkin, { response: 'That sounds hard.' });
+    appendTurn(thread.id, 'What should I say to her?', 'Maybe start with how you feel.');
+    const kept = startThread('user-a', other, { response: 'Glad to hear it.' });
+
+    assert.strictEqual(deleteCheckin('user-a', checkin.id), true);
+
+    assert.strictEqual(getThread('user-a', thread.id), null);
+    assert.deepStrictEqual(listThreads('user-a').map(t => t.id), [kept.id]);
+});
+
+test("deleting someone else's check-in leaves it and its thread alone", () => {
+    const { checkin } = createCheckin('user-b', { ratings: { emotional: 3 } });
+    const thread = startThread('user-b', checkin, { response: 'Thanks for checking in.' });
+
+    assert.strictEqual(deleteCheckin('user-c', checkin.id), false);
+    assert.ok(getThread('user-b', thread.id));
+});
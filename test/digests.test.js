@@ -0,0 +1,109 @@
+// test/digests.test.js - weekly digest scheduling and emails
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.VYBIN_DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vybin-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.MAIL_TRANSPORT;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCheckin } = require('../lib/checkins');
+const { runDigests, listDigests, updateDigestSettings } = require('../lib/digests');
+
+// A Wednesday: its digest covers Monday 2026-10-05 to Sunday 2026-10-11
+const NOW = new Date('2026-10-14T09:00:00Z');
+
+test.after(() => {
+    fs.rmSync(process.env.VYBIN_DB_DIR, { recursive: true, force: true });
+});
+
+function checkInLastWeek(userId) {
+    createCheckin(userId, { ratings: { emotional: 2 }, context: 'Hard week with my sister', date: '2026-10-06T18:00:00Z' });
+    updateDigestSettings(userId, { emailEnabled: true, email: `${userId}@example.com` });
+}
+
+// Everything the console stand-in prints while fn runs
+async function captureStdout(fn) {
+    const write = process.stdout.write;
+    let output = '';
+    process.stdout.write = chunk => {
+        output += chunk;
+        return true;
+    };
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return output;
+}
+
+// Runs first: the mock provider is chosen once, on the first call that can
+// use it, and is refused in production - so this pass can't write a reflection
+test('a digest whose reflection could not be written is left for the next pass', async () => {
+    createCheckin('user-retry', { ratings: { emotional: 3 }, date: '2026-10-07T08:00:00Z' });
+
+    process.env.NODE_ENV = 'production';
+    try {
+        const summary = await runDigests(NOW, { userId: 'user-retry' });
+        assert.deepStrictEqual([summary.checked, summary.created, summary.failed], [1, 0, 1]);
+        assert.deepStrictEqual(listDigests('user-retry'), []);
+    } finally {
+        delete process.env.NODE_ENV;
+    }
+
+    const summary = await runDigests(NOW, { userId: 'user-retry' });
+    assert.deepStrictEqual([summary.created, summary.failed], [1, 0]);
+    assert.strictEqual(listDigests('user-retry')[0].weekStart, '2026-10-05');
+});
+
+test('outside production the digest email goes to the console stand-in', async () => {
+    checkInLastWeek('user-a');
+    const output = await captureStdout(() => runDigests(NOW, { userId: 'user-a' }));
+
+    const [digest] = listDigests('user-a');
+    assert.strictEqual(digest.emailed, true);
+    assert.ok(output.includes(digest.reflection));
+});
+
+test('in production a digest is never handed to a stand-in transport', async () => {
+    checkInLastWeek('user-b');
+    process.env.NODE_ENV = 'production';
+    let output;
+    try {
+        output = await captureStdout(() => runDigests(NOW, { userId: 'user-b' }));
+    } finally {
+        delete process.env.NODE_ENV;
+    }
+
+    const [digest] = listDigests('user-b');
+    assert.strictEqual(digest.emailed, false);
+    assert.strictEqual(output, '');
+});
+
+test('each pass covers last week, writes each digest once and defers past the per-pass limit', async () => {
+    // A Wednesday: its digest covers Monday 2026-09-07 to Sunday 2026-09-13
+    const now = new Date('2026-09-16T09:00:00Z');
+    for (let i = 0; i < 21; i++) {
+        createCheckin(`user-${i}`, { ratings: { emotional: 4 }, date: '2026-09-08T12:00:00Z' });
+    }
+    createCheckin('user-outside', { ratings: { emotional: 4 }, date: '2026-09-06T23:00:00Z' });
+    createCheckin('user-outside', { ratings: { emotional: 4 }, date: '2026-09-14T00:30:00Z' });
+
+    const first = await runDigests(now);
+    assert.deepStrictEqual(first, {
+        weekStart: '2026-09-07', weekEnd: '2026-09-13', checked: 20, created: 20, emailed: 0, failed: 0, deferred: 1
+    });
+
+    const second = await runDigests(now);
+    assert.deepStrictEqual([second.checked, second.created, second.deferred], [1, 1, 0]);
+
+    const third = await runDigests(now);
+    assert.deepStrictEqual([third.checked, third.created], [0, 0]);
+
+    assert.deepStrictEqual(listDigests('user-outside'), []);
+    assert.deepStrictEqual(listDigests('user-0').map(d => [d.weekStart, d.weekEnd, d.checkins]), [['2026-09-07', '2026-09-13', 1]]);
+});
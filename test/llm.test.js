@@ -0,0 +1,72 @@
+// test/llm.test.js - streaming through lib/llm with the mock provider
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llm = require('../lib/llm');
+
+const request = {
+    route: 'wellness-response',
+    system: 'You are a wellness companion.',
+    messages: [{ role: 'user', content: 'Rough week at work.' }]
+};
+
+// Runs first: the provider is chosen once, on the first call
+test('the mock is refused in production, failing the call so routes fall back', async () => {
+    process.env.NODE_ENV = 'production';
+    try {
+        await assert.rejects(llm.complete(request), error => error instanceof llm.LLMError && error.status === 503 && !error.aborted);
+    } finally {
+        delete process.env.NODE_ENV;
+    }
+});
+
+test('a missing API key does not quietly switch to the mock', () => {
+    const apiKey = process.env.CLAUDE_API_KEY;
+    delete process.env.LLM_PROVIDER;
+    delete process.env.CLAUDE_API_KEY;
+    try {
+        assert.strictEqual(llm.providerName(), null);
+        assert.match(llm.providerProblem(), /No LLM provider configured/);
+    } finally {
+        process.env.LLM_PROVIDER = 'mock';
+        if (apiKey !== undefined) process.env.CLAUDE_API_KEY = apiKey;
+    }
+});
+
+test('a finished stream returns the whole reply and its usage', async () => {
+    let streamed = '';
+    const result = await llm.stream({ ...request, onText: text => { streamed += text; } });
+
+    assert.strictEqual(streamed, result.text);
+    assert.ok(result.usage.input_tokens > 0);
+    assert.ok(result.usage.output_tokens > 0);
+});
+
+test('an aborted stream fails with the usage generated before the abort', async () => {
+    const full = await llm.stream({ ...request, onText() {} });
+
+    const controller = new AbortController();
+    let words = 0;
+    const error = await llm.stream({
+        ...request,
+        signal: controller.signal,
+        onText() {
+            if (++words === 3) controller.abort();
+        }
+    }).then(() => null, rejected => rejected);
+
+    assert.ok(error instanceof llm.LLMError);
+    assert.strictEqual(error.aborted, true);
+    assert.strictEqual(error.usage.input_tokens, full.usage.input_tokens);
+    assert.ok(error.usage.output_tokens > 0);
+    assert.ok(error.usage.output_tokens < full.usage.output_tokens);
+});
+
+test('an aborted stream does not count against the circuit breaker', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(llm.stream({ ...request, signal: controller.signal, onText() {} }), { aborted: true });
+    assert.strictEqual(llm.getBreakerStatus().consecutiveFailures, 0);
+});
@@ -0,0 +1,58 @@
+// test/mail.test.js - outgoing mail and the development stand-ins
+process.env.LOG_LEVEL = 'error';
+delete process.env.MAIL_TRANSPORT;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendMail, mailProblem } = require('../lib/mail');
+
+const message = { to: 'friend@example.com', subject: 'You are invited', text: 'http://localhost/?invite=secret-token' };
+
+// Everything the console stand-in prints while fn runs
+async function captureStdout(fn) {
+    const write = process.stdout.write;
+    let output = '';
+    process.stdout.write = chunk => {
+        output += chunk;
+        return true;
+    };
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return output;
+}
+
+test('the console stand-in prints the message outside production', async () => {
+    const output = await captureStdout(async () => {
+        assert.ok((await sendMail(message)).id);
+    });
+    assert.match(output, /invite=secret-token/);
+});
+
+test('the stand-ins are refused in production and print nothing', async () => {
+    process.env.NODE_ENV = 'production';
+    try {
+        for (const name of [undefined, 'console', 'file']) {
+            if (name) process.env.MAIL_TRANSPORT = name;
+            assert.match(mailProblem(), /development stand-in/);
+            const output = await captureStdout(() => assert.rejects(sendMail(message), /development stand-in/));
+            assert.strictEqual(output, '');
+        }
+    } finally {
+        delete process.env.NODE_ENV;
+        delete process.env.MAIL_TRANSPORT;
+    }
+});
+
+test('a real transport is allowed in production', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.MAIL_TRANSPORT = 'webhook';
+    try {
+        assert.strictEqual(mailProblem(), null);
+    } finally {
+        delete process.env.NODE_ENV;
+        delete process.env.MAIL_TRANSPORT;
+    }
+});
@@ -0,0 +1,56 @@
+// test/output.test.js - streamed replies are checked before any of them is sent
+//
+// Each case is streamed a few characters at a time; what reaches the user must
+// be exactly what checking the whole reply at once gives, with no piece of an
+// unverified number sent on its own along the way.
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkOutput, createOutputStream } = require('../lib/prompts/output');
+
+function streamInChunks(text, size) {
+    const released = [];
+    const stream = createOutputStream(piece => released.push(piece));
+    for (let i = 0; i < text.length; i += size) {
+        stream.push(text.slice(i, i + size));
+    }
+    stream.flush();
+    return released;
+}
+
+const CASES = [
+    'You could call 555-\n123-4567 tonight.',
+    'Their number is (555)\n123-4567.\nThey answer late.',
+    'Try +1\n555 123 4567 if you want.',
+    'Just call\n4321 and ask for help.',
+    'You can text HOME to\n\n54321 any time.'
+];
+
+for (const text of CASES) {
+    test(`streamed: ${JSON.stringify(text)}`, () => {
+        const whole = checkOutput(text).text;
+        assert.match(whole, /\[number removed\]/);
+
+        for (const size of [1, 3, 7]) {
+            const released = streamInChunks(text, size);
+            assert.strictEqual(released.join(''), whole);
+            for (const piece of released) {
+                assert.doesNotMatch(piece, /\d{3}/, `piece ${JSON.stringify(piece)} leaks part of a number`);
+            }
+        }
+    });
+}
+
+test('ordinary lines are still released as they arrive', () => {
+    const released = [];
+    const stream = createOutputStream(piece => released.push(piece));
+    stream.push('First line\nSecond');
+    assert.deepStrictEqual(released, ['First line\n']);
+    stream.flush();
+    assert.deepStrictEqual(released, ['First line\n', 'Second']);
+});
+
+test('an allowed number split across a newline is kept whole', () => {
+    assert.strictEqual(streamInChunks('Call 988 or text HOME to\n741741.', 4).join(''), 'Call 988 or text HOME to\n741741.');
+});
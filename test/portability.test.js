@@ -0,0 +1,59 @@
+// test/portability.test.js - importing history backups
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.VYBIN_DB_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vybin-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { importBackup } = require('../lib/portability');
+const { listThreads } = require('../lib/conversations');
+
+test.after(() => {
+    fs.rmSync(process.env.VYBIN_DB_DIR, { recursive: true, force: true });
+});
+
+function backup(count) {
+    const start = Date.parse('2020-01-01T12:00:00Z');
+    return {
+        format: 'vybin-history',
+        version: 1,
+        checkins: Array.from({ length: count }, (_, i) => ({
+            date: new Date(start + i * 60 * 60 * 1000).toISOString(),
+            ratings: { emotional: (i % 5) + 1 },
+            context: `Entry ${i}`,
+            ...(i % 100 === 0 ? { conversation: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] } : {})
+        }))
+    };
+}
+
+test('a large backup is saved with one write per collection', () => {
+    const renameSync = fs.renameSync;
+    let writes = 0;
+    fs.renameSync = (...args) => {
+        writes++;
+        return renameSync(...args);
+    };
+    try {
+        assert.deepStrictEqual(importBackup('user-a', backup(5000)), { imported: 5000, skipped: 0, rejected: 0 });
+    } finally {
+        fs.renameSync = renameSync;
+    }
+    assert.strictEqual(writes, 2);
+    assert.strictEqual(listThreads('user-a').length, 50);
+});
+
+test('importing the same backup again skips every entry', () => {
+    assert.deepStrictEqual(importBackup('user-a', backup(5000)), { imported: 0, skipped: 5000, rejected: 0 });
+    assert.strictEqual(listThreads('user-a').length, 50);
+});
+
+test('an invalid entry rejects the whole file before anything is saved', () => {
+    const data = backup(3);
+    data.checkins[2].conversation = [{ role: 'assistant', content: 'I speak first' }];
+    const result = importBackup('user-b', data);
+    assert.deepStrictEqual(result.errors.map(e => e.field), ['checkins[2].conversation']);
+    assert.strictEqual(listThreads('user-b').length, 0);
+});
@@ -0,0 +1,13 @@
+// test/prompts.test.js - prompt-injection cases from lib/prompts/adversarial.json
+//
+// One test per case, so a regression names the attack that got through.
+// The same cases back GET /api/admin/prompts/self-check.
+const test = require('node:test');
+const assert = require('node:assert');
+const { runSelfCheck } = require('../lib/prompts/self-check');
+
+for (const result of runSelfCheck().results) {
+    test(`${result.kind}: ${result.id}`, () => {
+        assert.deepStrictEqual(result.problems, []);
+    });
+}
@@ -0,0 +1,116 @@
+// test/safety.test.js - crisis and self-harm phrase corpus for lib/safety.js
+//
+// Each row is something a user might actually write, with the risk level it
+// must produce. Missing a real crisis is the expensive mistake here, so add a
+// row whenever a phrase slips through; the everyday-idiom rows keep the
+// screen from crying wolf.
+const test = require('node:test');
+const assert = require('node:assert');
+const { assessRisk, buildCrisisPayload } = require('../lib/safety');
+
+// [text, emotional rating or null, expected level]
+const CORPUS = [
+    // Suicidal ideation
+    ['I want to kill myself', null, 'high'],
+    ["I've been thinking about suicide", null, 'high'],
+    ['I just want to end it all', null, 'high'],
+    ['I wish I were dead', null, 'high'],
+    ["I don't want to wake up tomorrow", null, 'high'],
+    ["there's no reason to live anymore", null, 'high'],
+    ['everyone would be better off dead than dealing with me', null, 'high'],
+    ['quiero morir', null, 'high'],
+    ['no quiero vivir así', null, 'high'],
+    ['me quiero matar', null, 'high'],
+    ['I almost killed myself', null, 'high'],
+    ["I don't want to be here anymore", null, 'high'],
+
+    // Self-harm
+    ['I have been cutting myself again', null, 'high'],
+    ['I took an overdose last week', null, 'high'],
+    ['I overdosed last night', null, 'high'],
+    ['me estoy cortando otra vez', null, 'high'],
+    ['pensé en hacerme daño', null, 'high'],
+
+    // Plans, means and immediacy
+    ['I have a plan and the pills are ready tonight', null, 'high'],
+    ['I wrote my goodbye note and I want to die tonight', null, 'imminent'],
+    ['I have a plan to kill myself tonight', null, 'imminent'],
+    ['tengo un plan para esta noche y quiero morir', null, 'imminent'],
+
+    // Hopelessness counts for more when the emotional rating is at the bottom
+    ["I can't take it anymore", 1, 'high'],
+    ["I can't take it anymore", 3, 'elevated'],
+    ['I feel hopeless and like a burden', 1, 'high'],
+    ['I feel hopeless', 3, 'elevated'],
+    ['estarían mejor sin mí', 1, 'high'],
+    ['ya no aguanto más', 1, 'high'],
+
+    // Harm to others
+    ['I might hurt someone', null, 'high'],
+    ['I want to kill him', null, 'high'],
+
+    // A negation elsewhere in the sentence doesn't cancel the phrase
+    ['I have no friends and I want to die', null, 'high'],
+    ['I have no job and I am suicidal', null, 'high'],
+    ["I'm not okay I want to die", null, 'high'],
+    ["I'm not suicidal but yesterday I wanted to die", null, 'high'],
+    ['no tengo trabajo y quiero morir', null, 'high'],
+
+    // Negated mentions
+    ["I'm not suicidal, just tired", null, 'none'],
+    ['I never wanted to hurt myself', null, 'none'],
+    ['estoy cansada pero no quiero morir', null, 'none'],
+    ['no me estoy cortando', null, 'none'],
+    ["I'm not going to kill myself", null, 'none'],
+    ['nunca quise lastimarme', null, 'none'],
+
+    // Everyday idioms
+    ['work was killing me today', null, 'none'],
+    ["I'm dying to see the new movie", null, 'none'],
+    ['this deadline will be the death of me', null, 'none'],
+    ['everything is fine tonight', null, 'none'],
+    ['Great day, went for a run', null, 'none'],
+    ['hoy fue un buen día', null, 'none']
+];
+
+for (const [text, emotional, expected] of CORPUS) {
+    const ratings = emotional === null ? {} : { emotional };
+    test(`${expected}: "${text}"${emotional === null ? '' : ` (emotional ${emotional})`}`, () => {
+        const { level, triggered } = assessRisk({ text, ratings });
+        assert.strictEqual(level, expected);
+        assert.strictEqual(triggered, expected === 'high' || expected === 'imminent');
+    });
+}
+
+test('curly apostrophes match like straight ones', () => {
+    assert.strictEqual(assessRisk({ text: 'I don’t want to live' }).level, 'high');
+});
+
+test('immediacy alone does not raise risk', () => {
+    assert.deepStrictEqual(assessRisk({ text: 'I need to finish this right now' }), {
+        level: 'none', score: 0, signals: [], triggered: false
+    });
+});
+
+test('ratings alone never trigger the crisis screen', () => {
+    const ratings = { physical: 1, emotional: 1, social: 1, financial: 1, occupational: 1 };
+    const result = assessRisk({ text: '', ratings });
+    assert.strictEqual(result.level, 'elevated');
+    assert.strictEqual(result.triggered, false);
+});
+
+test('imminent payload leads with 911', () => {
+    const payload = buildCrisisPayload('imminent');
+    assert.strictEqual(payload.contacts[0].phone, '911');
+    assert.deepStrictEqual(payload.contacts.map(c => c.phone || c.sms), ['911', '988', '741741']);
+});
+
+test('high payload leads with 988 and the Crisis Text Line', () => {
+    const payload = buildCrisisPayload('high');
+    assert.deepStrictEqual(payload.contacts.map(c => c.phone || c.sms), ['988', '741741', '911']);
+});
+
+test('payload is written in the requested locale, falling back to English', () => {
+    assert.strictEqual(buildCrisisPayload('high', 'es').contacts[1].smsBody, 'AYUDA');
+    assert.strictEqual(buildCrisisPayload('high', 'fr').contacts[1].smsBody, 'HOME');
+});
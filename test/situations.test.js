@@ -0,0 +1,86 @@
+// test/situations.test.js - example check-ins for lib/situations.js
+//
+// Each row is a check-in as a user might write it: `found` lists the
+// situations that must be classified with confidence, `notFound` the ones
+// that must not (negated, idioms, or deliberately never mapped).
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifySituations } = require('../lib/situations');
+
+// Same as MIN_CONFIDENCE in lib/situations.js: below it a situation adds no tags
+const CONFIDENT = 0.4;
+
+const CHECKINS = [
+    // Work and money
+    { text: 'I lost my job last week and rent is due', found: ['unemployment'] },
+    { text: "I got laid off and I'm looking for work", ratings: { occupational: 1, financial: 2 }, found: ['unemployment'] },
+    { text: "My boss is a nightmare and I'm burned out at work", found: ['work-stress'], notFound: ['unemployment'] },
+    { text: "I've been networking at events for my new role", notFound: ['unemployment', 'work-stress'] },
+    { text: "I'm behind on bills and my credit card debt keeps growing", found: ['financial-hardship'] },
+    { text: "I'm not worried about money, work is the problem", notFound: ['financial-hardship'] },
+    { text: 'perdí mi trabajo y no puedo pagar la renta', found: ['unemployment', 'financial-hardship', 'housing'] },
+
+    // Housing, food, utilities, disasters
+    { text: "We're about to be evicted and might end up homeless", found: ['housing'] },
+    { text: 'There\'s no food in the house and I skipped meals so the kids could eat', found: ['food'] },
+    { text: "They're going to shut off our electricity", found: ['utilities'] },
+    { text: 'Our apartment flooded in the storm', found: ['disaster'] },
+
+    // Body weight and eating never map to weight loss
+    { text: "I've been feeling fat and I hate my weight", found: ['eating-and-body-image'] },
+    { text: 'I keep bingeing and purging', found: ['eating-and-body-image'] },
+
+    // Emotional and social
+    { text: "I'm so anxious and depressed lately", found: ['emotional-distress'] },
+    { text: 'I feel so lonely, I have no friends here', found: ['loneliness'] },
+    { text: 'me siento muy sola', found: ['loneliness'] },
+    { text: "My partner hits me and I'm scared to go home", found: ['relationship-safety'] },
+    { text: 'My mom passed away last month', found: ['grief'] },
+    { text: "I've been drinking every night to cope", found: ['substance-use'] },
+    { text: 'I feel disconnected from my faith', found: ['spiritual'] },
+    { text: "I'm failing my classes and might drop out", found: ['education'] },
+
+    // Nothing to classify
+    { text: 'Had a great day hiking with friends', ratings: { social: 5, physical: 5 }, notFound: ['loneliness', 'health'] }
+];
+
+for (const { text, ratings = {}, found = [], notFound = [] } of CHECKINS) {
+    test(`"${text}"`, () => {
+        const { situations } = classifySituations({ text, ratings });
+        const confident = situations.filter(s => s.confidence >= CONFIDENT).map(s => s.id);
+
+        for (const id of found) {
+            assert.ok(confident.includes(id), `expected ${id}, got [${confident.join(', ')}]`);
+        }
+        for (const id of notFound) {
+            assert.ok(!confident.includes(id), `did not expect ${id}`);
+        }
+    });
+}
+
+test('negated mentions are reported but carry no confidence', () => {
+    const { situations } = classifySituations({ text: 'money is fine but my landlord is evicting us' });
+    const financial = situations.find(s => s.id === 'financial-hardship');
+    assert.strictEqual(financial.confidence, 0);
+    assert.deepStrictEqual(financial.negated, ['money']);
+});
+
+test('wanting to lose weight is not a confident situation', () => {
+    const { tags } = classifySituations({ text: 'I want to lose weight' });
+    assert.deepStrictEqual(tags, []);
+});
+
+test('low ratings raise confidence and high ratings lower it', () => {
+    const text = "I'm behind on bills";
+    const confidence = ratings => classifySituations({ text, ratings }).situations
+        .find(s => s.id === 'financial-hardship').confidence;
+
+    assert.ok(confidence({ financial: 1 }) > confidence({}));
+    assert.ok(confidence({ financial: 5 }) < confidence({}));
+});
+
+test('low-rated dimensions are listed lowest first without any text', () => {
+    const result = classifySituations({ text: '', ratings: { financial: 1, emotional: 2, social: 4 } });
+    assert.deepStrictEqual(result.situations, []);
+    assert.deepStrictEqual(result.lowDimensions, ['financial', 'emotional']);
+});